@@ -14,6 +14,9 @@ public class PipeCommand
     
     [JsonPropertyName("Line")]
     public int? Line { get; set; }
+
+    [JsonPropertyName("EndLine")]
+    public int? EndLine { get; set; }
 }
 
 // Error response from MCP tool
@@ -47,14 +47,18 @@ public NamedPipeClient()
                 await client.WriteAsync(bytes, cancellationToken);
                 await client.FlushAsync(cancellationToken);
                 
-                // Read response
+                // Read response: the viewer closes the pipe once it has written all of it
+                using var response = new MemoryStream();
                 var buffer = new byte[BufferSize];
-                var bytesRead = await client.ReadAsync(buffer, cancellationToken);
+                int bytesRead;
+                while ((bytesRead = await client.ReadAsync(buffer, cancellationToken)) > 0)
+                {
+                    response.Write(buffer, 0, bytesRead);
+                }
                 
-                if (bytesRead > 0)
+                if (response.Length > 0)
                 {
-                    var responseJson = Encoding.UTF8.GetString(buffer, 0, bytesRead);
-                    return JsonDocument.Parse(responseJson);
+                    return JsonDocument.Parse(response.ToArray());
                 }
                 
                 return null;
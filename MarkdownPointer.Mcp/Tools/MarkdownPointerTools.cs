@@ -12,10 +12,11 @@ public class MarkdownPointerTools(NamedPipeClient pipeClient)
 {
     private readonly NamedPipeClient _pipeClient = pipeClient;
 
-    [McpServerTool(Name = "show_markdown"), Description("Open a Markdown or SVG file in MarkdownPointer. Supports Mermaid diagrams, KaTeX math, and SVG with embedded fonts. Auto-refreshes on file changes. Returns current tab status and any render errors.")]
+    [McpServerTool(Name = "show_markdown"), Description("Open a Markdown or SVG file in MarkdownPointer. Scrolls to and highlights the given line or line range. Supports Mermaid diagrams, KaTeX math, and SVG with embedded fonts. Auto-refreshes on file changes. Returns current tab status and any render errors, with structured diagnostics (source, line, message, offending snippet).")]
     public async Task<string> ShowMarkdown(
         [Description("Path to the Markdown file to open")] string path,
         [Description("Optional line number to scroll to")] int? line = null,
+        [Description("Optional last line of a range to highlight (requires line)")] int? endLine = null,
         CancellationToken cancellationToken = default)
     {
         try
@@ -29,7 +30,7 @@ public class MarkdownPointerTools(NamedPipeClient pipeClient)
                     PipeJsonContext.Default.ErrorResponse);
             }
             
-            var message = new PipeCommand { Command = "open", Path = fullPath, Line = line };
+            var message = new PipeCommand { Command = "open", Path = fullPath, Line = line, EndLine = endLine };
             var result = await _pipeClient.SendCommandAsync(message, cancellationToken);
             
             if (result == null)
@@ -54,6 +55,66 @@ public class MarkdownPointerTools(NamedPipeClient pipeClient)
         }
     }
 
+    [McpServerTool(Name = "get_current_view"), Description("Get the file the user is currently looking at in MarkdownPointer and the first/last source lines visible on screen.")]
+    public async Task<string> GetCurrentView(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var message = new PipeCommand { Command = "view" };
+            var result = await _pipeClient.SendCommandAsync(message, cancellationToken);
+
+            if (result == null)
+            {
+                return JsonSerializer.Serialize(
+                    new ErrorResponse
+                    {
+                        Success = false,
+                        Error = "Failed to communicate with MarkdownPointer",
+                        ViewerRunning = _pipeClient.IsViewerRunning()
+                    },
+                    PipeJsonContext.Default.ErrorResponse);
+            }
+
+            return result.RootElement.GetRawText();
+        }
+        catch (Exception ex)
+        {
+            return JsonSerializer.Serialize(
+                new ErrorResponse { Success = false, Error = $"{ex.GetType().Name}: {ex.Message}" },
+                PipeJsonContext.Default.ErrorResponse);
+        }
+    }
+
+    [McpServerTool(Name = "get_mermaid_coverage"), Description("Get how well the Mermaid diagrams in the current MarkdownPointer tab are mapped to source lines: per diagram, the tagged, mapped and untagged SVG element counts, a coverage percentage, and the elements or source statements that could not be paired up (the first 25 per diagram; issueCount gives the total).")]
+    public async Task<string> GetMermaidCoverage(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var message = new PipeCommand { Command = "mermaid-coverage" };
+            var result = await _pipeClient.SendCommandAsync(message, cancellationToken);
+
+            if (result == null)
+            {
+                return JsonSerializer.Serialize(
+                    new ErrorResponse
+                    {
+                        Success = false,
+                        Error = "Failed to communicate with MarkdownPointer",
+                        ViewerRunning = _pipeClient.IsViewerRunning()
+                    },
+                    PipeJsonContext.Default.ErrorResponse);
+            }
+
+            return result.RootElement.GetRawText();
+        }
+        catch (Exception ex)
+        {
+            return JsonSerializer.Serialize(
+                new ErrorResponse { Success = false, Error = $"{ex.GetType().Name}: {ex.Message}" },
+                PipeJsonContext.Default.ErrorResponse);
+        }
+    }
+
     [McpServerTool(Name = "export_docx"), Description("Convert a Markdown file to .docx using Pandoc. Requires Pandoc to be installed.")]
     public async Task<string> ExportDocx(
         [Description("Path to the Markdown file")] string path,
@@ -41,6 +41,7 @@ private void ReplaceAllRenderers()
             ReplaceRenderer<HtmlBlock, LineTrackingHtmlBlockRenderer>();
             ReplaceRenderer<Table, LineTrackingTableRenderer>();
             ReplaceRenderer<MathBlock, LineTrackingMathBlockRenderer>();
+            ReplaceRenderer<MathInline, LineTrackingMathInlineRenderer>();
         }
         
         private void ReplaceRenderer<TBlock, TRenderer>() 
@@ -65,7 +66,7 @@ public class LineTrackingParagraphRenderer : HtmlObjectRenderer<ParagraphBlock>
     {
         protected override void Write(HtmlRenderer renderer, ParagraphBlock obj)
         {
-            renderer.Write($"<p data-line=\"{obj.Line + 1}\">");
+            renderer.Write($"<p data-line=\"{obj.Line + 1}\"{SourceLines.EndLineAttribute(obj)}>");
             renderer.WriteLeafInline(obj);
             renderer.WriteLine("</p>");
         }
@@ -76,7 +77,7 @@ public class LineTrackingHeadingRenderer : HtmlObjectRenderer<HeadingBlock>
         protected override void Write(HtmlRenderer renderer, HeadingBlock obj)
         {
             var tag = $"h{obj.Level}";
-            renderer.Write($"<{tag} data-line=\"{obj.Line + 1}\"");
+            renderer.Write($"<{tag} data-line=\"{obj.Line + 1}\"{SourceLines.EndLineAttribute(obj)}");
             renderer.WriteAttributes(obj);
             renderer.Write(">");
             renderer.WriteLeafInline(obj);
@@ -107,7 +108,7 @@ protected override void Write(HtmlRenderer renderer, CodeBlock obj)
             }
             else
             {
-                renderer.Write($"<pre data-line=\"{obj.Line + 1}\"><code");
+                renderer.Write($"<pre data-line=\"{obj.Line + 1}\"{SourceLines.EndLineAttribute(obj)}><code");
                 
                 if (obj is FencedCodeBlock fc && !string.IsNullOrEmpty(fc.Info))
                 {
@@ -136,14 +137,14 @@ public class LineTrackingListRenderer : HtmlObjectRenderer<ListBlock>
         protected override void Write(HtmlRenderer renderer, ListBlock obj)
         {
             var tag = obj.IsOrdered ? "ol" : "ul";
-            renderer.Write($"<{tag} data-line=\"{obj.Line + 1}\">");
+            renderer.Write($"<{tag} data-line=\"{obj.Line + 1}\"{SourceLines.EndLineAttribute(obj)}>");
             renderer.WriteLine();
             
             foreach (var item in obj)
             {
                 if (item is ListItemBlock listItem)
                 {
-                    renderer.Write($"<li data-line=\"{listItem.Line + 1}\">");
+                    renderer.Write($"<li data-line=\"{listItem.Line + 1}\"{SourceLines.EndLineAttribute(listItem)}>");
                     renderer.WriteChildren(listItem);
                     renderer.WriteLine("</li>");
                 }
@@ -157,7 +158,7 @@ public class LineTrackingQuoteBlockRenderer : HtmlObjectRenderer<QuoteBlock>
     {
         protected override void Write(HtmlRenderer renderer, QuoteBlock obj)
         {
-            renderer.Write($"<blockquote data-line=\"{obj.Line + 1}\">");
+            renderer.Write($"<blockquote data-line=\"{obj.Line + 1}\"{SourceLines.EndLineAttribute(obj)}>");
             renderer.WriteLine();
             renderer.WriteChildren(obj);
             renderer.WriteLine("</blockquote>");
@@ -184,7 +185,7 @@ public class LineTrackingTableRenderer : HtmlObjectRenderer<Table>
     {
         protected override void Write(HtmlRenderer renderer, Table obj)
         {
-            renderer.Write($"<table data-line=\"{obj.Line + 1}\">");
+            renderer.Write($"<table data-line=\"{obj.Line + 1}\"{SourceLines.EndLineAttribute(obj)}>");
             renderer.WriteLine();
             
             foreach (var row in obj)
@@ -192,7 +193,10 @@ protected override void Write(HtmlRenderer renderer, Table obj)
                 if (row is TableRow tableRow)
                 {
                     var isHeader = tableRow.IsHeader;
-                    renderer.Write($"<tr data-line=\"{tableRow.Line + 1}\">");
+                    // Markdig pads short rows to the column count; keep the source count for lint
+                    var sourceCells = tableRow.OfType<TableCell>().Count(cell => !IsPaddingCell(cell));
+                    var sourceCellsAttr = sourceCells != tableRow.Count ? $" data-source-cells=\"{sourceCells}\"" : "";
+                    renderer.Write($"<tr data-line=\"{tableRow.Line + 1}\"{sourceCellsAttr}>");
                     foreach (var cell in tableRow)
                     {
                         if (cell is TableCell tableCell)
@@ -209,17 +213,100 @@ protected override void Write(HtmlRenderer renderer, Table obj)
             
             renderer.WriteLine("</table>");
         }
+
+        /// <summary>
+        /// Cells added by table normalization have no source span.
+        /// </summary>
+        private static bool IsPaddingCell(TableCell cell)
+        {
+            return cell.Count == 0 && cell.Span.Start == 0 && cell.Span.End == 0;
+        }
     }
 
     public class LineTrackingMathBlockRenderer : HtmlObjectRenderer<MathBlock>
     {
         protected override void Write(HtmlRenderer renderer, MathBlock obj)
         {
-            renderer.Write($"<div class=\"math\" data-line=\"{obj.Line + 1}\">");
+            // TeX starts on the line after the opening $$ and the closing $$ follows the last TeX line
+            var texLine = obj.Line + 2;
+            var endLine = texLine + obj.Lines.Count;
+            var tex = MathSource.EscapeAttribute(obj.Lines.ToString());
+            renderer.Write($"<div class=\"math\" data-line=\"{obj.Line + 1}\" data-tex-line=\"{texLine}\" data-end-line=\"{endLine}\" data-math=\"{tex}\">");
             renderer.WriteLine("\\[");
             renderer.WriteLeafRawLines(obj, true, true, true);
             renderer.Write("\\]</div>");
             renderer.WriteLine();
         }
     }
+
+    public class LineTrackingMathInlineRenderer : HtmlObjectRenderer<MathInline>
+    {
+        protected override void Write(HtmlRenderer renderer, MathInline obj)
+        {
+            // Inline math may continue over the following lines of its paragraph
+            var content = obj.Content.ToString();
+            var texLine = obj.Line + 1;
+            var endLine = texLine + content.Count(c => c == '\n');
+            renderer.Write($"<span data-tex-line=\"{texLine}\" data-end-line=\"{endLine}\" data-math=\"{MathSource.EscapeAttribute(content)}\"");
+            renderer.WriteAttributes(obj);
+            renderer.Write(">\\(");
+            renderer.WriteEscape(content);
+            renderer.Write("\\)</span>");
+        }
+    }
+
+    /// <summary>
+    /// Last source line of a block, written as data-end-line on blocks that span several lines
+    /// so pointing payloads and ranges cover the whole block.
+    /// </summary>
+    internal static class SourceLines
+    {
+        public static string EndLineAttribute(Block block)
+        {
+            var lastLine = GetLastLine(block);
+            return lastLine > block.Line ? $" data-end-line=\"{lastLine + 1}\"" : "";
+        }
+
+        /// <summary>
+        /// Zero-based last line: the closing fence of a fenced code block, the underline of a
+        /// setext heading, the last text line of other leaf blocks and the last line of a
+        /// container's last child.
+        /// </summary>
+        public static int GetLastLine(Block block)
+        {
+            switch (block)
+            {
+                case FencedCodeBlock fenced:
+                    var lastContent = fenced.Lines.Count > 0 ? fenced.Lines.Lines[fenced.Lines.Count - 1].Line : fenced.Line;
+                    return fenced.ClosingFenceCharCount > 0 ? lastContent + 1 : lastContent;
+                case HeadingBlock heading when heading.IsSetext:
+                    return GetLastTextLine(heading) + 1;
+                case TableRow row:
+                    // Padding cells added by table normalization have no line of their own
+                    return row.Line;
+                case LeafBlock leaf:
+                    return GetLastTextLine(leaf);
+                case ContainerBlock container when container.LastChild != null:
+                    return Math.Max(container.Line, GetLastLine(container.LastChild));
+                default:
+                    return block.Line;
+            }
+        }
+
+        private static int GetLastTextLine(LeafBlock leaf)
+        {
+            return leaf.Lines.Count > 0 ? Math.Max(leaf.Line, leaf.Lines.Lines[leaf.Lines.Count - 1].Line) : leaf.Line;
+        }
+    }
+
+    /// <summary>
+    /// TeX source recorded on .math elements for KatexSourceMapping.js.
+    /// </summary>
+    internal static class MathSource
+    {
+        public static string EscapeAttribute(string tex)
+        {
+            return tex.Replace("&", "&amp;").Replace("\"", "&quot;");
+        }
+    }
 }
\ No newline at end of file
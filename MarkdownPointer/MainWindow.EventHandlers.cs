@@ -70,6 +70,16 @@ private void Window_KeyDown(object sender, KeyEventArgs e)
                 }
                 e.Handled = true;
             }
+            else if (e.Key == Key.F8)
+            {
+                ToggleProblemsPanel();
+                e.Handled = true;
+            }
+            else if (e.Key == Key.M && Keyboard.Modifiers == (ModifierKeys.Control | ModifierKeys.Shift))
+            {
+                ToggleMermaidDebugOverlay();
+                e.Handled = true;
+            }
             else if (e.Key == Key.Tab && (Keyboard.Modifiers & (ModifierKeys.Control | ModifierKeys.Shift)) == (ModifierKeys.Control | ModifierKeys.Shift))
             {
                 // Ctrl+Shift+Tab: Previous tab
@@ -92,6 +102,50 @@ private void Window_KeyDown(object sender, KeyEventArgs e)
             }
         }
 
+        /// <summary>
+        /// Shows or hides the Mermaid mapping overlay in every tab and reports
+        /// the selected tab's coverage in the status bar.
+        /// </summary>
+        private void ToggleMermaidDebugOverlay()
+        {
+            _isMermaidDebugOverlay = !_isMermaidDebugOverlay;
+            foreach (var tab in _tabs)
+            {
+                if (tab.IsInitialized && tab.WebView.CoreWebView2 != null)
+                {
+                    tab.WebView.CoreWebView2.ExecuteScriptAsync($"setMermaidDebugOverlay({(_isMermaidDebugOverlay ? "true" : "false")})");
+                }
+            }
+
+            if (!_isMermaidDebugOverlay)
+            {
+                ShowStatusMessage("✓ Mermaid mapping overlay off");
+                return;
+            }
+
+            var coverage = (FileTabControl.SelectedItem as TabItemData)?.MermaidCoverage ?? new List<MermaidCoverage>();
+            var mapped = coverage.Sum(c => c.Mapped);
+            var total = coverage.Sum(c => c.Tagged + c.Untagged);
+            ShowStatusMessage(total > 0
+                ? $"✓ Mermaid mapping overlay on: {mapped}/{total} elements mapped in {coverage.Count} diagram(s)"
+                : "✓ Mermaid mapping overlay on");
+        }
+
+        /// <summary>
+        /// Shows or hides the in-page problems panel (render diagnostics) in every tab.
+        /// </summary>
+        private void ToggleProblemsPanel()
+        {
+            _isProblemsPanelVisible = !_isProblemsPanelVisible;
+            foreach (var tab in _tabs)
+            {
+                if (tab.IsInitialized && tab.WebView.CoreWebView2 != null)
+                {
+                    tab.WebView.CoreWebView2.ExecuteScriptAsync($"setProblemsPanel({(_isProblemsPanelVisible ? "true" : "false")})");
+                }
+            }
+        }
+
         private void Window_PreviewMouseWheel(object sender, MouseWheelEventArgs e)
         {
             if (Keyboard.Modifiers == ModifierKeys.Control)
@@ -245,6 +299,73 @@ private void OpenInCodeButton_Click(object sender, RoutedEventArgs e)
 
         #endregion
 
+        #region Reference Templates
+
+        private void ReferenceTemplateButton_Click(object sender, RoutedEventArgs e)
+        {
+            // Pick up hand edits to the templates file
+            _referenceTemplates.Load();
+            ApplyReferenceTemplate();
+
+            var menu = new ContextMenu();
+            foreach (var template in _referenceTemplates.Templates)
+            {
+                var item = new MenuItem
+                {
+                    Header = template.Name,
+                    ToolTip = template.Template,
+                    IsCheckable = true,
+                    IsChecked = template == _referenceTemplates.Active
+                };
+                item.Click += (s, args) =>
+                {
+                    _referenceTemplates.ActiveName = template.Name;
+                    _referenceTemplates.Save();
+                    ApplyReferenceTemplate();
+                    ShowStatusMessage($"✓ Reference template: {template.Name}");
+                };
+                menu.Items.Add(item);
+            }
+
+            menu.Items.Add(new Separator());
+            var editItem = new MenuItem { Header = "Edit templates..." };
+            editItem.Click += (s, args) => EditReferenceTemplates();
+            menu.Items.Add(editItem);
+
+            menu.PlacementTarget = ReferenceTemplateButton;
+            menu.Placement = System.Windows.Controls.Primitives.PlacementMode.Top;
+            menu.IsOpen = true;
+        }
+
+        private void ApplyReferenceTemplate()
+        {
+            var active = _referenceTemplates.Active;
+            _referenceFormatter.Template = active.Template;
+            ReferenceTemplateButton.Content = $"Ref: {active.Name}";
+        }
+
+        private void EditReferenceTemplates()
+        {
+            try
+            {
+                if (!File.Exists(ReferenceTemplateStore.FilePath))
+                {
+                    _referenceTemplates.Save();
+                }
+                Process.Start(new ProcessStartInfo
+                {
+                    FileName = ReferenceTemplateStore.FilePath,
+                    UseShellExecute = true
+                });
+            }
+            catch (Exception ex)
+            {
+                ShowStatusMessage($"✗ Failed: {ex.Message}");
+            }
+        }
+
+        #endregion
+
         #region Drag Overlay Events (Pan Mode)
 
         private void DragOverlay_MouseLeftButtonDown(object sender, MouseButtonEventArgs e)
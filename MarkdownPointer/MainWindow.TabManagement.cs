@@ -25,22 +25,26 @@ public int GetSelectedTabIndex()
             return FileTabControl.SelectedIndex;
         }
 
-        public void ScrollToLine(int tabIndex, int line)
+        public void ScrollToLine(int tabIndex, int line, int? endLine = null)
         {
             if (tabIndex >= 0 && tabIndex < _tabs.Count)
             {
                 var tab = _tabs[tabIndex];
                 FileTabControl.SelectedItem = tab;
-                ScrollToLine(tab, line);
+                ScrollToLine(tab, line, endLine);
             }
         }
 
-        public void ScrollToLine(TabItemData tab, int line)
+        /// <summary>
+        /// Scrolls to a source line (or line range) and briefly highlights the target elements.
+        /// </summary>
+        public void ScrollToLine(TabItemData tab, int line, int? endLine = null)
         {
             if (tab.IsInitialized && tab.WebView.CoreWebView2 != null)
             {
+                var end = endLine?.ToString() ?? "null";
                 // Use setTimeout to ensure page is fully rendered
-                tab.WebView.CoreWebView2.ExecuteScriptAsync($"setTimeout(function() {{ scrollToLine({line}); }}, 100)");
+                tab.WebView.CoreWebView2.ExecuteScriptAsync($"setTimeout(function() {{ scrollToLine({line}, {end}); }}, 100)");
             }
         }
 
@@ -70,7 +74,7 @@ public void RefreshTab(TabItemData tab)
 
         #region Tab Lifecycle
 
-        public TabItemData? LoadMarkdownFile(string filePath, int? line = null, string? title = null, bool isTemp = false, string? renderedHtml = null)
+        public TabItemData? LoadMarkdownFile(string filePath, int? line = null, string? title = null, bool isTemp = false, string? renderedHtml = null, int? endLine = null)
         {
             if (!File.Exists(filePath))
             {
@@ -90,7 +94,7 @@ public void RefreshTab(TabItemData tab)
                         FileTabControl.SelectedItem = tab;
                         if (line.HasValue)
                         {
-                            ScrollToLine(tab, line.Value);
+                            ScrollToLine(tab, line.Value, endLine);
                         }
                         // Return existing tab (errors are cached from last render)
                         tab.RenderCompletion = null;
@@ -123,6 +127,7 @@ public void RefreshTab(TabItemData tab)
                     {
                         // Update existing temp tab
                         tab.FilePath = filePath;
+                        tab.VisibleLines = null;
                         tab.LastFileWriteTime = File.GetLastWriteTime(filePath);
                         FileTabControl.SelectedItem = tab;
                         SetupFileWatcher(tab);  // Re-setup watcher for new file
@@ -131,7 +136,7 @@ public void RefreshTab(TabItemData tab)
                         RefreshTab(tab);
                         if (line.HasValue)
                         {
-                            ScrollToLine(tab, line.Value);
+                            ScrollToLine(tab, line.Value, endLine);
                         }
                         return tab;
                     }
@@ -1,5 +1,6 @@
 using System.Diagnostics;
 using System.IO;
+using System.Text;
 using System.Text.Json;
 using System.Windows;
 using System.Windows.Controls;
@@ -11,6 +12,11 @@ namespace MarkdownPointer
     // WebView event handlers and initialization partial class
     public partial class MainWindow
     {
+        private static readonly JsonSerializerOptions WebMessageJsonOptions = new()
+        {
+            PropertyNameCaseInsensitive = true
+        };
+
         #region WebView Initialization and Events
 
         private async Task InitializeTabWebViewAsync(TabItemData tab)
@@ -178,6 +184,19 @@ private async Task HandleContextMenuRequestedAsync(TabItemData tab, Microsoft.We
                 var menuItems = e.MenuItems;
                 menuItems.Clear();
 
+                if (_isPointingMode)
+                {
+                    var addNoteItem = tab.WebView.CoreWebView2.Environment.CreateContextMenuItem(
+                        "Add Review Note", null,
+                        Microsoft.Web.WebView2.Core.CoreWebView2ContextMenuItemKind.Command);
+                    addNoteItem.CustomItemSelected += async (sender, args) =>
+                    {
+                        await tab.WebView.CoreWebView2.ExecuteScriptAsync(
+                            $"openAnnotationEditorAt({_contextMenuPosition.X}, {_contextMenuPosition.Y})");
+                    };
+                    menuItems.Add(addNoteItem);
+                }
+
                 if (elementType == "mermaid" || elementType == "math")
                 {
                     var copyPngItem = tab.WebView.CoreWebView2.Environment.CreateContextMenuItem(
@@ -273,6 +292,64 @@ private void HandleWebMessageReceived(TabItemData tab, Microsoft.Web.WebView2.Co
                 return;
             }
 
+            // Handle multi-select batch copy
+            if (message.StartsWith("point-batch:", StringComparison.Ordinal))
+            {
+                HandlePointingBatch(tab, message.Substring(12));
+                return;
+            }
+
+            // Handle review annotation changes
+            if (message.StartsWith("annotations:", StringComparison.Ordinal))
+            {
+                var json = message.Substring(12);
+                tab.AnnotationsJson = json == "[]" ? null : json;
+                return;
+            }
+
+            // Handle review export
+            if (message.StartsWith("annotations-export:", StringComparison.Ordinal))
+            {
+                HandleAnnotationsExport(tab, message.Substring(19));
+                return;
+            }
+
+            // Handle visible source line report
+            if (message.StartsWith("visible-lines:", StringComparison.Ordinal))
+            {
+                try
+                {
+                    tab.VisibleLines = JsonSerializer.Deserialize<VisibleLineRange>(message.Substring(14), WebMessageJsonOptions);
+                }
+                catch (JsonException)
+                {
+                    // Ignore malformed report
+                }
+                return;
+            }
+
+            // Handle Mermaid mapping coverage report
+            if (message.StartsWith("mermaid-coverage:", StringComparison.Ordinal))
+            {
+                try
+                {
+                    tab.MermaidCoverage = JsonSerializer.Deserialize<List<MermaidCoverage>>(message.Substring(17), WebMessageJsonOptions)
+                        ?? new List<MermaidCoverage>();
+                }
+                catch (JsonException)
+                {
+                    // Ignore malformed report
+                }
+                return;
+            }
+
+            // Handle the problems panel being closed from the page
+            if (message == "problems-panel:hidden")
+            {
+                _isProblemsPanelVisible = false;
+                return;
+            }
+
             // Handle render completion notification
             if (message.StartsWith("render-complete:", StringComparison.Ordinal))
             {
@@ -333,16 +410,62 @@ private void HandleLinkClick(string uri)
             }
         }
 
-        private void HandlePointingModeClick(TabItemData tab, string data)
+        private void HandlePointingModeClick(TabItemData tab, string json)
+        {
+            try
+            {
+                var payload = JsonSerializer.Deserialize<PointingPayload>(json, WebMessageJsonOptions);
+                if (payload == null) return;
+
+                Clipboard.SetText(_referenceFormatter.Format(tab.FilePath, payload));
+                var label = payload.Kind == "range" ? "Range ref" : "Ref";
+                ShowStatusMessage($"✓ {label} copied - Paste into prompt to point AI here", 3.0);
+            }
+            catch (JsonException)
+            {
+                // Ignore malformed payload
+            }
+        }
+
+        private void HandlePointingBatch(TabItemData tab, string json)
         {
-            var parts = data.Split('|');
-            if (parts.Length >= 2)
+            try
+            {
+                var elements = JsonSerializer.Deserialize<List<PointingPayload>>(json, WebMessageJsonOptions);
+                if (elements == null || elements.Count == 0) return;
+
+                var references = elements.Select(el => _referenceFormatter.Format(tab.FilePath, el));
+                Clipboard.SetText(string.Join(Environment.NewLine, references));
+                ShowStatusMessage($"✓ {elements.Count} refs copied - Paste into prompt to point AI here", 3.0);
+            }
+            catch (JsonException)
             {
-                var line = parts[0];
-                var elementContent = parts.Length > 1 ? parts[1] : "";
-                var reference = $"[{tab.FilePath}:{line}] {elementContent}";
-                Clipboard.SetText(reference);
-                ShowStatusMessage("✓ Ref copied - Paste into prompt to point AI here", 3.0);
+                // Ignore malformed batch
+            }
+        }
+
+        private void HandleAnnotationsExport(TabItemData tab, string json)
+        {
+            try
+            {
+                var notes = JsonSerializer.Deserialize<List<ReviewAnnotation>>(json, WebMessageJsonOptions);
+                if (notes == null || notes.Count == 0) return;
+
+                var review = new StringBuilder();
+                review.AppendLine($"Review notes for {tab.FilePath}:");
+                for (int i = 0; i < notes.Count; i++)
+                {
+                    // Indent continuation lines of multi-line notes under "Note: "
+                    var comment = notes[i].Comment.Replace("\n", "\n         ");
+                    review.AppendLine($"{i + 1}. {_referenceFormatter.Format(tab.FilePath, notes[i].Target)}");
+                    review.AppendLine($"   Note: {comment}");
+                }
+                Clipboard.SetText(review.ToString().TrimEnd());
+                ShowStatusMessage($"✓ {notes.Count} review notes copied", 3.0);
+            }
+            catch (JsonException)
+            {
+                // Ignore malformed export
             }
         }
 
@@ -350,19 +473,48 @@ private void HandleRenderComplete(TabItemData tab, string message)
         {
             const string prefix = "render-complete:";
             var json = message.Substring(prefix.Length);
+
+            // Restore position by source line now that diagrams have their final height
+            // (the pixel offset restored on navigation drifts when content changes)
+            if (tab.VisibleLines != null)
+            {
+                tab.WebView.CoreWebView2?.ExecuteScriptAsync($"restoreVisibleLine({tab.VisibleLines.First})");
+            }
+
             try
             {
-                var errors = System.Text.Json.JsonSerializer.Deserialize<List<string>>(json) ?? new List<string>();
+                var diagnostics = JsonSerializer.Deserialize<List<RenderDiagnostic>>(json, WebMessageJsonOptions) ?? new List<RenderDiagnostic>();
+                var errors = diagnostics.Select(d => d.ToString()).ToList();
+                tab.LastRenderDiagnostics = diagnostics;
                 tab.LastRenderErrors = errors;
                 tab.RenderCompletion?.TrySetResult(errors);
             }
-            catch (System.Text.Json.JsonException)
+            catch (JsonException)
             {
                 // Ignore malformed JSON - use empty error list
+                tab.LastRenderDiagnostics = new List<RenderDiagnostic>();
                 tab.LastRenderErrors = new List<string>();
                 tab.RenderCompletion?.TrySetResult(new List<string>());
             }
 
+            // Re-anchor review annotations on the freshly rendered page
+            if (!string.IsNullOrEmpty(tab.AnnotationsJson))
+            {
+                tab.WebView.CoreWebView2?.ExecuteScriptAsync($"restoreAnnotations({tab.AnnotationsJson})");
+            }
+
+            // Redraw the Mermaid mapping overlay over the new diagrams
+            if (_isMermaidDebugOverlay)
+            {
+                tab.WebView.CoreWebView2?.ExecuteScriptAsync("setMermaidDebugOverlay(true)");
+            }
+
+            // Refill the problems panel with this render's diagnostics
+            if (_isProblemsPanelVisible)
+            {
+                tab.WebView.CoreWebView2?.ExecuteScriptAsync("setProblemsPanel(true)");
+            }
+
             // Update error indicator if this is the selected tab
             if (FileTabControl.SelectedItem == tab)
             {
@@ -43,6 +43,8 @@ public partial class MainWindow : Window
         private readonly MarkdownPipeline _pipeline;
         private readonly HtmlGenerator _htmlGenerator;
         private readonly ClipboardService _clipboardService;
+        private readonly ReferenceFormatter _referenceFormatter = new();
+        private readonly ReferenceTemplateStore _referenceTemplates = new();
         private readonly ObservableCollection<TabItemData> _tabs = new();
 
         // Zoom state
@@ -54,6 +56,8 @@ public partial class MainWindow : Window
         private bool _isDragMoveMode = false;
         private bool _isPointingMode = true;
         private bool _pointingModeBeforeSvg = true;
+        private bool _isMermaidDebugOverlay = false;
+        private bool _isProblemsPanelVisible = false;
 
         // UI state
         private DispatcherTimer? _statusMessageTimer;
@@ -102,12 +106,16 @@ public MainWindow()
                 .UseListExtras()
                 .UseTaskLists()
                 .UseAutoLinks()
+                .UseYamlFrontMatter()
                 .UseGenericAttributes()
                 .Build();
 
             _htmlGenerator = new HtmlGenerator(_pipeline);
             _clipboardService = new ClipboardService(msg => StatusText.Text = msg);
 
+            _referenceTemplates.Load();
+            ApplyReferenceTemplate();
+
             FileTabControl.ItemsSource = _tabs;
         }
 
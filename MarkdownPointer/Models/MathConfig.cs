@@ -0,0 +1,66 @@
+namespace MarkdownPointer.Models
+{
+    /// <summary>
+    /// KaTeX configuration for one document, merged from the workspace settings file and the
+    /// document frontmatter (see MathConfigLoader). Serialized into the page as mathConfig.
+    /// </summary>
+    public class MathConfig
+    {
+        /// <summary>
+        /// Macro name (e.g. "\R") to replacement TeX.
+        /// </summary>
+        public Dictionary<string, string> Macros { get; set; } = new();
+
+        /// <summary>
+        /// Source line of each macro defined in frontmatter, for macro diagnostics.
+        /// </summary>
+        public Dictionary<string, int> MacroLines { get; set; } = new();
+
+        /// <summary>
+        /// Delimiters tried before the built-in \[ \] \( \) $$ $ list.
+        /// </summary>
+        public List<MathDelimiter> Delimiters { get; set; } = new();
+
+        /// <summary>
+        /// Left-align display math.
+        /// </summary>
+        public bool? Fleqn { get; set; }
+
+        /// <summary>
+        /// Put equation tags on the left of display math.
+        /// </summary>
+        public bool? Leqno { get; set; }
+
+        /// <summary>
+        /// Allow \href, \url, \includegraphics and other trusted commands.
+        /// </summary>
+        public bool? Trust { get; set; }
+
+        /// <summary>
+        /// KaTeX strict mode: true, false, "warn", "ignore" or "error".
+        /// </summary>
+        public object? Strict { get; set; }
+
+        /// <summary>
+        /// KaTeX contrib extensions to load: "mhchem", "copy-tex".
+        /// </summary>
+        public List<string> Extensions { get; set; } = new();
+
+        /// <summary>
+        /// Problems found while reading the configuration, reported with the render diagnostics.
+        /// </summary>
+        public List<RenderDiagnostic> Errors { get; set; } = new();
+    }
+
+    /// <summary>
+    /// An auto-render delimiter pair.
+    /// </summary>
+    public class MathDelimiter
+    {
+        public string Left { get; set; } = "";
+
+        public string Right { get; set; } = "";
+
+        public bool Display { get; set; }
+    }
+}
@@ -0,0 +1,60 @@
+namespace MarkdownPointer.Models
+{
+    /// <summary>
+    /// Source line mapping coverage of one rendered Mermaid diagram (posted by MermaidDebugOverlay.js).
+    /// </summary>
+    public class MermaidCoverage
+    {
+        /// <summary>
+        /// Source line of the diagram's code fence.
+        /// </summary>
+        public int Line { get; set; }
+
+        public string DiagramType { get; set; } = "";
+
+        /// <summary>
+        /// SVG elements tagged as pointable (hit areas excluded).
+        /// </summary>
+        public int Tagged { get; set; }
+
+        /// <summary>
+        /// Tagged elements that carry a source line.
+        /// </summary>
+        public int Mapped { get; set; }
+
+        /// <summary>
+        /// Text and node-like elements that were left untagged.
+        /// </summary>
+        public int Untagged { get; set; }
+
+        /// <summary>
+        /// Mapped elements as a percentage of tagged plus untagged elements.
+        /// </summary>
+        public int Coverage { get; set; }
+
+        /// <summary>
+        /// Issues found in the diagram; only the first few are listed in <see cref="Issues"/>.
+        /// </summary>
+        public int IssueCount { get; set; }
+
+        public List<MermaidCoverageIssue> Issues { get; set; } = new();
+    }
+
+    /// <summary>
+    /// An element or source statement the line mapping could not pair up.
+    /// </summary>
+    public class MermaidCoverageIssue
+    {
+        /// <summary>
+        /// "unmapped-element", "unmatched-statement" or "untagged-element".
+        /// </summary>
+        public string Kind { get; set; } = "";
+
+        /// <summary>
+        /// Source line of an unmatched statement; null for elements.
+        /// </summary>
+        public int? Line { get; set; }
+
+        public string Text { get; set; } = "";
+    }
+}
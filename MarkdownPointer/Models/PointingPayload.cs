@@ -0,0 +1,113 @@
+namespace MarkdownPointer.Models
+{
+    /// <summary>
+    /// Structured element reference posted by the pointing mode scripts (getPointingPayload).
+    /// </summary>
+    public class PointingPayload
+    {
+        /// <summary>
+        /// Element kind: heading, paragraph, table-cell, table-column, table-range, code-line, mermaid-node, katex, katex-row, range, etc.
+        /// </summary>
+        public string Kind { get; set; } = "element";
+
+        /// <summary>
+        /// First source line (null when unknown).
+        /// </summary>
+        public int? Line { get; set; }
+
+        /// <summary>
+        /// Last source line covered by the element (equal to Line for single-line elements).
+        /// </summary>
+        public int? EndLine { get; set; }
+
+        /// <summary>
+        /// Mermaid diagram type (flowchart, sequence, ...) for diagram elements.
+        /// </summary>
+        public string? DiagramType { get; set; }
+
+        /// <summary>
+        /// Mermaid node type label (Node, Edge, Participant, ...).
+        /// </summary>
+        public string? NodeType { get; set; }
+
+        /// <summary>
+        /// Mermaid node id as written in the diagram source.
+        /// </summary>
+        public string? NodeId { get; set; }
+
+        /// <summary>
+        /// Labels of the Mermaid nodes with an edge into this node (flowchart and state diagrams).
+        /// </summary>
+        public List<string>? Incoming { get; set; }
+
+        /// <summary>
+        /// Labels of the Mermaid nodes this node has an edge to.
+        /// </summary>
+        public List<string>? Outgoing { get; set; }
+
+        /// <summary>
+        /// Markdown lint findings on or inside the element (MarkdownLint.js).
+        /// </summary>
+        public List<string>? Findings { get; set; }
+
+        /// <summary>
+        /// Zero-based table row (header row is 0).
+        /// </summary>
+        public int? Row { get; set; }
+
+        /// <summary>
+        /// Zero-based table column.
+        /// </summary>
+        public int? Col { get; set; }
+
+        /// <summary>
+        /// Last table row of a row, column or cell range selection (TablePointing.js).
+        /// </summary>
+        public int? EndRow { get; set; }
+
+        /// <summary>
+        /// Last table column of a row, column or cell range selection.
+        /// </summary>
+        public int? EndCol { get; set; }
+
+        /// <summary>
+        /// Source line of each selected table row (null for rows without one).
+        /// </summary>
+        public List<int?>? RowLines { get; set; }
+
+        /// <summary>
+        /// Table selection rendered as a Markdown table, headed by the table's header cells.
+        /// </summary>
+        public string? Markdown { get; set; }
+
+        /// <summary>
+        /// Code block language.
+        /// </summary>
+        public string? Language { get; set; }
+
+        /// <summary>
+        /// Original TeX source of a KaTeX formula or of one environment row.
+        /// </summary>
+        public string? Tex { get; set; }
+
+        /// <summary>
+        /// Heading level (1-6).
+        /// </summary>
+        public int? Level { get; set; }
+
+        /// <summary>
+        /// Enclosing heading path, e.g. "## Design > ### Storage".
+        /// </summary>
+        public string? Breadcrumb { get; set; }
+
+        /// <summary>
+        /// Containing blockquote/list/table, e.g. "blockquote > list item 2".
+        /// </summary>
+        public string? Context { get; set; }
+
+        /// <summary>
+        /// Human-readable summary from getElementContent.
+        /// </summary>
+        public string Summary { get; set; } = "";
+    }
+}
@@ -0,0 +1,18 @@
+namespace MarkdownPointer.Models
+{
+    /// <summary>
+    /// A named template for the reference text copied by pointing mode.
+    /// </summary>
+    public class ReferenceTemplate
+    {
+        /// <summary>
+        /// Name shown in the template switcher.
+        /// </summary>
+        public string Name { get; set; } = "";
+
+        /// <summary>
+        /// Template text with {placeholders} (see ReferenceFormatter).
+        /// </summary>
+        public string Template { get; set; } = "";
+    }
+}
@@ -0,0 +1,53 @@
+namespace MarkdownPointer.Models
+{
+    /// <summary>
+    /// A Mermaid or KaTeX render failure, a Markdown lint finding or a math settings problem,
+    /// with its source position (posted by RenderDiagnostics.js, MarkdownLint.js and KatexConfig.js).
+    /// </summary>
+    public class RenderDiagnostic
+    {
+        /// <summary>
+        /// "mermaid", "katex", "markdown" or "config" (math settings).
+        /// </summary>
+        public string Source { get; set; } = "";
+
+        /// <summary>
+        /// Lint rule of a Markdown finding: broken-anchor, missing-image, heading-level,
+        /// duplicate-id, empty-link or ragged-table.
+        /// </summary>
+        public string? Rule { get; set; }
+
+        /// <summary>
+        /// Start line of the failing block (null when unknown).
+        /// </summary>
+        public int? Line { get; set; }
+
+        /// <summary>
+        /// Exact line inside the block when the parser reports one.
+        /// </summary>
+        public int? SourceLine { get; set; }
+
+        public string Message { get; set; } = "";
+
+        /// <summary>
+        /// Offending source text: the Mermaid line, the TeX formula or the flagged Markdown.
+        /// </summary>
+        public string Snippet { get; set; } = "";
+
+        /// <summary>
+        /// One-line form used by the status bar and MCP error lists, e.g. "[Mermaid Line 14] Parse error ...".
+        /// </summary>
+        public override string ToString()
+        {
+            var label = Source switch
+            {
+                "katex" => "KaTeX",
+                "markdown" => "Markdown",
+                "config" => "Math config",
+                _ => "Mermaid"
+            };
+            var line = SourceLine ?? Line;
+            return line.HasValue ? $"[{label} Line {line}] {Message}" : $"[{label}] {Message}";
+        }
+    }
+}
@@ -0,0 +1,18 @@
+namespace MarkdownPointer.Models
+{
+    /// <summary>
+    /// A review note attached to a pointed element.
+    /// </summary>
+    public class ReviewAnnotation
+    {
+        /// <summary>
+        /// The element the note is attached to.
+        /// </summary>
+        public PointingPayload Target { get; set; } = new();
+
+        /// <summary>
+        /// The reviewer's comment.
+        /// </summary>
+        public string Comment { get; set; } = "";
+    }
+}
@@ -87,6 +87,11 @@ public string Title
         /// </summary>
         public double SavedScrollPosition { get; set; }
 
+        /// <summary>
+        /// Source lines visible in the viewport, used to restore position after reload.
+        /// </summary>
+        public VisibleLineRange? VisibleLines { get; set; }
+
         /// <summary>
         /// Task completion source for waiting on render completion.
         /// </summary>
@@ -97,6 +102,21 @@ public string Title
         /// </summary>
         public List<string> LastRenderErrors { get; set; } = new();
 
+        /// <summary>
+        /// Structured Mermaid/KaTeX diagnostics from the last render, with source positions.
+        /// </summary>
+        public List<RenderDiagnostic> LastRenderDiagnostics { get; set; } = new();
+
+        /// <summary>
+        /// Source line mapping coverage of each Mermaid diagram in the last render.
+        /// </summary>
+        public List<MermaidCoverage> MermaidCoverage { get; set; } = new();
+
+        /// <summary>
+        /// Review annotations (JSON from the page), restored after each re-render.
+        /// </summary>
+        public string? AnnotationsJson { get; set; }
+
         /// <summary>
         /// Cached rendered HTML for fast window detach/attach.
         /// </summary>
@@ -0,0 +1,12 @@
+namespace MarkdownPointer.Models
+{
+    /// <summary>
+    /// First and last source lines currently on screen (posted by VisibleLines.js).
+    /// </summary>
+    public class VisibleLineRange
+    {
+        public int First { get; set; }
+
+        public int Last { get; set; }
+    }
+}
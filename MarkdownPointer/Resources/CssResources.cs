@@ -121,6 +121,21 @@ public static class CssResources
     outline: none !important;
     background-color: rgba(0, 120, 212, 0.25) !important;
 }
+/* scrollToLine target: fades out after the scroll settles */
+.scroll-target-highlight {
+    animation: scroll-target-fade 2s ease-out;
+}
+@keyframes scroll-target-fade {
+    0%, 40% { background-color: rgba(255, 213, 79, 0.5); }
+    100% { background-color: transparent; }
+}
+svg .scroll-target-highlight {
+    animation: scroll-target-glow 2s ease-out;
+}
+@keyframes scroll-target-glow {
+    0%, 40% { filter: drop-shadow(0 0 6px rgba(255, 193, 7, 1)); }
+    100% { filter: none; }
+}
 .pointing-flash {
     animation: flash-effect 0.5s ease-out;
 }
@@ -128,6 +143,299 @@ public static class CssResources
     0% { box-shadow: inset 0 0 0 100px rgba(0, 120, 212, 0.4); }
     100% { box-shadow: inset 0 0 0 100px transparent; }
 }
+/* Multi-select: persistent highlight for collected elements */
+.pointing-selected {
+    outline: 2px dashed #0078d4 !important;
+    outline-offset: 2px;
+    background-color: rgba(0, 120, 212, 0.08);
+}
+svg .pointing-selected {
+    outline: none !important;
+    filter: drop-shadow(0 0 3px #0078d4) drop-shadow(0 0 1px #0078d4);
+}
+.pointing-tray {
+    position: fixed;
+    right: 16px;
+    bottom: 16px;
+    width: 340px;
+    max-height: 40vh;
+    overflow: auto;
+    background-color: #ffffff;
+    border: 1px solid #d0d7de;
+    border-radius: 6px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+    font-size: 12px;
+    line-height: 1.4;
+    cursor: default;
+    z-index: 1000;
+}
+.pointing-tray-header {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 6px 8px;
+    border-bottom: 1px solid #eaecef;
+    background-color: #f6f8fa;
+    font-weight: 600;
+}
+.pointing-tray-header span { flex: 1; }
+.pointing-tray ol {
+    margin: 0;
+    padding: 4px 8px 4px 28px;
+}
+.pointing-tray li {
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    cursor: pointer;
+}
+.pointing-tray li:hover { color: #0366d6; }
+/* Drag-select rubber band */
+.pointing-range-band {
+    position: absolute;
+    border: 1px dashed #0078d4;
+    background-color: rgba(0, 120, 212, 0.08);
+    pointer-events: none;
+    z-index: 999;
+}
+/* Keyboard pointing: screen reader announcements only */
+.pointing-live-region {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    overflow: hidden;
+    clip: rect(0 0 0 0);
+    white-space: nowrap;
+}
+/* Review annotations */
+.annotation-layer {
+    position: absolute;
+    top: 0;
+    left: 0;
+    width: 0;
+    height: 0;
+}
+.annotation-marker {
+    position: absolute;
+    width: 20px;
+    height: 20px;
+    border-radius: 10px;
+    background-color: #f9c513;
+    color: #24292e;
+    font-size: 11px;
+    font-weight: 600;
+    line-height: 20px;
+    text-align: center;
+    cursor: pointer;
+    box-shadow: 0 1px 3px rgba(0, 0, 0, 0.3);
+    z-index: 900;
+}
+.annotation-marker.stale {
+    background-color: #e1e4e8;
+    border: 1px dashed #6a737d;
+}
+.annotation-editor {
+    position: absolute;
+    width: 360px;
+    padding: 8px;
+    background-color: #fffbdd;
+    border: 1px solid #d4a72c;
+    border-radius: 6px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+    font-size: 12px;
+    cursor: default;
+    z-index: 1001;
+}
+.annotation-editor-label {
+    margin-bottom: 4px;
+    color: #586069;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+}
+.annotation-editor textarea {
+    width: 100%;
+    height: 64px;
+    box-sizing: border-box;
+    font-family: inherit;
+    font-size: 12px;
+    user-select: text;
+}
+.annotation-editor-buttons {
+    display: flex;
+    justify-content: flex-end;
+    gap: 6px;
+    margin-top: 4px;
+}
+.annotation-bar {
+    position: fixed;
+    left: 16px;
+    bottom: 16px;
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 4px 8px;
+    background-color: #fffbdd;
+    border: 1px solid #d4a72c;
+    border-radius: 6px;
+    font-size: 12px;
+    cursor: default;
+    z-index: 1000;
+}
+/* Render diagnostics: inline badges and problems panel */
+.render-error-badge {
+    margin-bottom: 8px;
+    padding: 4px 8px;
+    background-color: #ffeef0;
+    border: 1px solid #d73a49;
+    border-radius: 4px;
+    color: #b31d28;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;
+    font-size: 12px;
+    white-space: normal;
+}
+span.render-error-badge {
+    margin: 0 0 0 2px;
+    padding: 0 3px;
+}
+.problems-panel {
+    position: fixed;
+    top: 16px;
+    right: 16px;
+    width: 420px;
+    max-height: 40vh;
+    overflow-y: auto;
+    background-color: #ffffff;
+    border: 1px solid #d73a49;
+    border-radius: 6px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+    font-size: 12px;
+    cursor: default;
+    z-index: 1000;
+}
+.problems-panel-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 4px 8px;
+    background-color: #ffeef0;
+    font-weight: 600;
+}
+.problems-panel-item,
+.problems-panel-empty {
+    padding: 4px 8px;
+    border-top: 1px solid #eaecef;
+}
+.problems-panel-item {
+    cursor: pointer;
+}
+.problems-panel-item:hover {
+    background-color: rgba(0, 120, 212, 0.08);
+}
+.problems-panel-item code {
+    display: block;
+    margin-top: 2px;
+    white-space: pre-wrap;
+}
+/* Markdown lint findings */
+.lint-finding {
+    text-decoration: underline wavy #d29922;
+    text-decoration-skip-ink: none;
+}
+img.lint-finding,
+tr.lint-finding {
+    outline: 2px dashed #d29922;
+    outline-offset: 2px;
+}
+/* Mermaid pan/zoom and fullscreen viewer */
+.mermaid {
+    position: relative;
+}
+.mermaid-zoom-controls {
+    position: absolute;
+    top: 6px;
+    right: 6px;
+    display: none;
+    gap: 2px;
+    z-index: 10;
+}
+.mermaid:hover > .mermaid-zoom-controls,
+.mermaid-fullscreen > .mermaid-zoom-controls {
+    display: flex;
+}
+.mermaid-zoom-controls button {
+    min-width: 26px;
+    height: 24px;
+    padding: 0 6px;
+    background-color: #ffffff;
+    border: 1px solid #d1d5da;
+    border-radius: 4px;
+    font-size: 12px;
+    cursor: pointer;
+}
+.mermaid-zoomed svg {
+    cursor: grab;
+}
+.mermaid-panning svg,
+.mermaid-panning svg * {
+    cursor: grabbing !important;
+}
+.mermaid.mermaid-fullscreen {
+    position: fixed;
+    top: 0;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    margin: 0;
+    border-radius: 0;
+    background-color: #ffffff;
+    overflow: hidden;
+    z-index: 950;
+}
+.mermaid-fullscreen svg {
+    width: 100%;
+    height: 100%;
+    max-width: none !important;
+}
+body.mermaid-fullscreen-open {
+    overflow: hidden;
+}
+/* Mermaid connected subgraph (Alt+hover) */
+svg.mermaid-neighborhood [data-mermaid-node]:not(.mermaid-neighbor):not(.mermaid-neighbor-focus) {
+    opacity: 0.2;
+}
+svg.mermaid-neighborhood .mermaid-neighbor-focus {
+    filter: drop-shadow(0 0 4px #0078d4) drop-shadow(0 0 2px #0078d4);
+}
+svg.mermaid-neighborhood path.mermaid-neighbor {
+    stroke: #0078d4 !important;
+    stroke-width: 2.5px !important;
+}
+/* Table row, column and cell range pointing */
+td.table-selection-preview,
+th.table-selection-preview {
+    background-color: rgba(0, 120, 212, 0.12);
+    box-shadow: inset 0 0 0 1px #0078d4;
+}
+/* Mermaid mapping debug overlay */
+.mermaid-debug-layer {
+    pointer-events: none;
+}
+.mermaid-debug-box rect {
+    fill: none;
+    stroke-width: 1.5px;
+}
+.mermaid-debug-box.unmapped rect {
+    stroke-dasharray: 2 2;
+}
+.mermaid-debug-box.untagged rect {
+    stroke-dasharray: 4 2;
+    fill: rgba(215, 58, 73, 0.12);
+}
+.mermaid-debug-box text {
+    font-size: 9px;
+    font-family: monospace;
+}
 ";
     }
 }
\ No newline at end of file
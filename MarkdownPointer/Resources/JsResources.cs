@@ -27,16 +27,86 @@ public static class JsResources
         /// </summary>
         public static string PointingHelpers => GetScript("PointingHelpers.js");
 
+        /// <summary>
+        /// Source line index: getElementAtLine, getElementsInRange, nearest lookups.
+        /// </summary>
+        public static string LineIndex => GetScript("LineIndex.js");
+
         /// <summary>
         /// getElementContent function for pointing mode content extraction.
         /// </summary>
         public static string GetElementContent => GetScript("GetElementContent.js");
 
+        /// <summary>
+        /// Structured pointing payload: getPointingPayload.
+        /// </summary>
+        public static string PointingPayload => GetScript("PointingPayload.js");
+
         /// <summary>
         /// Pointing mode mouse event handlers.
         /// </summary>
         public static string PointingEventHandlers => GetScript("PointingEventHandlers.js");
 
+        /// <summary>
+        /// Multi-select pointing: selection tray and batch copy.
+        /// </summary>
+        public static string PointingSelection => GetScript("PointingSelection.js");
+
+        /// <summary>
+        /// Drag-select pointing: line range references.
+        /// </summary>
+        public static string PointingRange => GetScript("PointingRange.js");
+
+        /// <summary>
+        /// Review annotations anchored to source lines.
+        /// </summary>
+        public static string Annotations => GetScript("Annotations.js");
+
+        /// <summary>
+        /// Keyboard pointing navigation (j/k, Tab, Enter).
+        /// </summary>
+        public static string KeyboardPointing => GetScript("KeyboardPointing.js");
+
+        /// <summary>
+        /// Visible source line reporting and line-based scroll restore.
+        /// </summary>
+        public static string VisibleLines => GetScript("VisibleLines.js");
+
+        /// <summary>
+        /// Per-document KaTeX options (macros, delimiters, extensions) and macro checks.
+        /// </summary>
+        public static string KatexConfig => GetScript("KatexConfig.js");
+
+        /// <summary>
+        /// KaTeX source mapping: original TeX and source lines per formula and environment row.
+        /// </summary>
+        public static string KatexSourceMapping => GetScript("KatexSourceMapping.js");
+
+        /// <summary>
+        /// Structured render diagnostics, inline error badges and the problems panel.
+        /// </summary>
+        public static string RenderDiagnostics => GetScript("RenderDiagnostics.js");
+
+        /// <summary>
+        /// Markdown lint findings (broken anchors, missing images, heading levels, ragged tables).
+        /// </summary>
+        public static string MarkdownLint => GetScript("MarkdownLint.js");
+
+        /// <summary>
+        /// Per-diagram Mermaid pan/zoom and fullscreen viewer.
+        /// </summary>
+        public static string MermaidPanZoom => GetScript("MermaidPanZoom.js");
+
+        /// <summary>
+        /// Connected subgraph highlighting and neighbour lists for Mermaid nodes.
+        /// </summary>
+        public static string MermaidNeighbors => GetScript("MermaidNeighbors.js");
+
+        /// <summary>
+        /// Row, column and cell range pointing for tables.
+        /// </summary>
+        public static string TablePointing => GetScript("TablePointing.js");
+
         /// <summary>
         /// DOMContentLoaded handler for KaTeX and Mermaid rendering.
         /// </summary>
@@ -47,6 +117,11 @@ public static class JsResources
         /// </summary>
         public static string MermaidNodeProcessing => GetScript("MermaidNodeProcessing.js");
 
+        /// <summary>
+        /// Mermaid mapping debug overlay and per-diagram coverage report.
+        /// </summary>
+        public static string MermaidDebugOverlay => GetScript("MermaidDebugOverlay.js");
+
 
         /// <summary>
         /// Reads an embedded JavaScript resource.
@@ -0,0 +1,259 @@
+// Review annotations: notes anchored to source lines, shown as margin markers.
+// The host keeps the list across re-renders and hands it back via restoreAnnotations().
+var annotations = [];
+var annotationLayer = null;
+var annotationEditor = null;
+var annotationBar = null;
+
+// Open the note editor for the element at a viewport position (called from C# context menu)
+function openAnnotationEditorAt(x, y) {
+    var pointable = getPointableElement(document.elementFromPoint(x, y));
+    if (pointable) openAnnotationEditorFor(pointable);
+}
+
+// Edit the element's note, or start a new one. Stale notes shown at the element belong
+// to content that is gone, so they are not reused.
+function openAnnotationEditorFor(pointable) {
+    var existing = null;
+    for (var i = 0; i < annotations.length; i++) {
+        if (annotations[i].element === pointable && !annotations[i].stale) {
+            existing = annotations[i];
+            break;
+        }
+    }
+    openAnnotationEditor(pointable, existing);
+}
+
+// pointable is null for a stale note that has no element left to show it at
+function openAnnotationEditor(pointable, annotation) {
+    closeAnnotationEditor();
+
+    annotationEditor = document.createElement('div');
+    annotationEditor.className = 'annotation-editor mdp-ui';
+
+    var label = document.createElement('div');
+    label.className = 'annotation-editor-label';
+    label.textContent = annotation && annotation.stale
+        ? 'L' + annotation.line + ' (changed or removed): ' + annotation.content
+        : 'L' + getElementLine(pointable) + ': ' + getElementContent(pointable);
+    annotationEditor.appendChild(label);
+
+    var textarea = document.createElement('textarea');
+    textarea.value = annotation ? annotation.comment : '';
+    textarea.placeholder = 'Review note (Ctrl+Enter to save)';
+    annotationEditor.appendChild(textarea);
+
+    var buttons = document.createElement('div');
+    buttons.className = 'annotation-editor-buttons';
+    var save = function() {
+        var comment = textarea.value.trim();
+        if (annotation) {
+            if (comment) annotation.comment = comment;
+            else removeAnnotation(annotation);
+        } else if (comment) {
+            annotations.push({
+                element: pointable,
+                line: getElementLine(pointable),
+                content: getElementContent(pointable),
+                comment: comment
+            });
+        }
+        closeAnnotationEditor();
+        annotationsChanged();
+    };
+    buttons.appendChild(createAnnotationButton('Save', save));
+    if (annotation) {
+        buttons.appendChild(createAnnotationButton('Delete', function() {
+            removeAnnotation(annotation);
+            closeAnnotationEditor();
+            annotationsChanged();
+        }));
+    }
+    buttons.appendChild(createAnnotationButton('Cancel', closeAnnotationEditor));
+    annotationEditor.appendChild(buttons);
+
+    textarea.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter' && e.ctrlKey) {
+            e.preventDefault();
+            save();
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            closeAnnotationEditor();
+        }
+    });
+
+    var rect = pointable ? pointable.getBoundingClientRect() : document.body.getBoundingClientRect();
+    annotationEditor.style.left = (rect.left + window.scrollX) + 'px';
+    annotationEditor.style.top = (pointable ? rect.bottom + window.scrollY + 6 : rect.top + window.scrollY) + 'px';
+    document.body.appendChild(annotationEditor);
+    textarea.focus();
+}
+
+function createAnnotationButton(text, onClick) {
+    var button = document.createElement('button');
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function closeAnnotationEditor() {
+    if (annotationEditor) {
+        annotationEditor.remove();
+        annotationEditor = null;
+    }
+}
+
+function removeAnnotation(annotation) {
+    var idx = annotations.indexOf(annotation);
+    if (idx !== -1) annotations.splice(idx, 1);
+}
+
+// Persist to the host and redraw markers
+function annotationsChanged() {
+    annotations.sort(function(a, b) {
+        return (parseInt(a.line, 10) || 0) - (parseInt(b.line, 10) || 0);
+    });
+    var stored = annotations.map(function(a) {
+        return { line: a.line, content: a.content, comment: a.comment };
+    });
+    window.chrome.webview.postMessage('annotations:' + JSON.stringify(stored));
+    renderAnnotations();
+}
+
+function renderAnnotations() {
+    if (!annotationLayer) {
+        annotationLayer = document.createElement('div');
+        annotationLayer.className = 'annotation-layer mdp-ui';
+        document.body.appendChild(annotationLayer);
+    }
+    annotationLayer.textContent = '';
+
+    var bodyLeft = document.body.getBoundingClientRect().left + window.scrollX;
+    annotations.forEach(function(annotation, idx) {
+        // Unanchored notes sit at the top of the document
+        var rect = (annotation.element || document.body).getBoundingClientRect();
+        var marker = document.createElement('div');
+        marker.className = 'annotation-marker' + (annotation.stale ? ' stale' : '');
+        marker.textContent = String(idx + 1);
+        marker.title = annotation.stale
+            ? '(L' + annotation.line + ' changed or removed: ' + annotation.content + ')\n' + annotation.comment
+            : annotation.comment;
+        marker.style.left = Math.max(4, bodyLeft + 8) + 'px';
+        marker.style.top = (rect.top + window.scrollY) + 'px';
+        marker.addEventListener('click', function() {
+            openAnnotationEditor(annotation.element, annotation);
+        });
+        annotationLayer.appendChild(marker);
+    });
+
+    renderAnnotationBar();
+}
+
+function renderAnnotationBar() {
+    if (annotations.length === 0) {
+        if (annotationBar) {
+            annotationBar.remove();
+            annotationBar = null;
+        }
+        return;
+    }
+    if (!annotationBar) {
+        annotationBar = document.createElement('div');
+        annotationBar.className = 'annotation-bar mdp-ui';
+        document.body.appendChild(annotationBar);
+    }
+    annotationBar.textContent = '';
+    var count = document.createElement('span');
+    count.textContent = annotations.length + ' note' + (annotations.length > 1 ? 's' : '');
+    annotationBar.appendChild(count);
+    annotationBar.appendChild(createAnnotationButton('Copy review', exportAnnotations));
+    annotationBar.appendChild(createAnnotationButton('Clear', function() {
+        annotations = [];
+        annotationsChanged();
+    }));
+}
+
+function exportAnnotations() {
+    var list = annotations.map(function(a) {
+        // Stale notes refer to what their line held when the note was written
+        var target = a.stale
+            ? { kind: 'stale', line: parseInt(a.line, 10) || null, endLine: null, summary: '(changed or removed) ' + a.content }
+            : getPointingPayload(a.element);
+        return { target: target, comment: a.comment };
+    });
+    window.chrome.webview.postMessage('annotations-export:' + JSON.stringify(list));
+}
+
+// Re-anchor stored notes after a re-render (called from C# after render-complete).
+// Prefers an element on the same line with the same content fingerprint, then the
+// same fingerprint at the nearest line. A note whose content is gone stays stale with its
+// original line and content, shown at the element now closest to that line (at or before it
+// when possible) or at the top of the document.
+function restoreAnnotations(stored) {
+    var candidates = Array.from(document.querySelectorAll('[data-line], [data-source-line], td, th'))
+        .map(function(el) { return getPointableElement(el); })
+        .filter(function(el, idx, arr) { return el && arr.indexOf(el) === idx; })
+        .map(function(el) { return { element: el, line: getElementLine(el), content: null }; });
+    var contentOf = function(candidate) {
+        if (candidate.content === null) candidate.content = getElementContent(candidate.element);
+        return candidate.content;
+    };
+
+    annotations = [];
+    stored.forEach(function(note) {
+        var line = parseInt(note.line, 10);
+        var match = null;
+        var bestDistance = Infinity;
+        candidates.forEach(function(c) {
+            if (contentOf(c) !== note.content) return;
+            var distance = Math.abs((parseInt(c.line, 10) || 0) - line);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                match = c;
+            }
+        });
+
+        if (match) {
+            annotations.push({
+                element: match.element,
+                line: match.line,
+                content: contentOf(match),
+                comment: note.comment,
+                stale: false
+            });
+            return;
+        }
+
+        // Content changed or removed: keep the note's own line and content so it stays stale
+        var before = null;
+        var after = null;
+        candidates.forEach(function(c) {
+            var cLine = parseInt(c.line, 10);
+            if (cLine <= line && (!before || cLine > parseInt(before.line, 10))) before = c;
+            if (cLine > line && (!after || cLine < parseInt(after.line, 10))) after = c;
+        });
+        var nearest = before || after;
+        annotations.push({
+            element: nearest ? nearest.element : null,
+            line: note.line,
+            content: note.content,
+            comment: note.comment,
+            stale: true
+        });
+    });
+    annotationsChanged();
+}
+
+// N opens the note editor for the hovered or keyboard-highlighted element
+document.addEventListener('keydown', function(e) {
+    if (!pointingModeEnabled || e.key !== 'n' || e.ctrlKey || e.altKey || e.metaKey) return;
+    if (e.target.closest && (e.target.closest('.mdp-ui') || e.target.closest('input, textarea'))) return;
+    if (!currentHighlight) return;
+    // Keep the key from being typed into the editor's textarea
+    e.preventDefault();
+    openAnnotationEditorFor(currentHighlight);
+});
+
+window.addEventListener('resize', function() {
+    if (annotations.length > 0) renderAnnotations();
+});
@@ -1,50 +1,26 @@
 document.addEventListener('DOMContentLoaded', async function() {
-    var renderErrors = [];
+    renderDiagnostics = [];
+    // Problems in .markdownpointer.json or the frontmatter's math settings
+    mathConfig.errors.forEach(addRenderDiagnostic);
 
-    // KaTeX rendering with error collection
+    // KaTeX rendering with the document's macros, delimiters and options, with error collection
     if (typeof renderMathInElement !== 'undefined') {
-        renderMathInElement(document.body, {
-            delimiters: [
-                {left: '\\[', right: '\\]', display: true},
-                {left: '\\(', right: '\\)', display: false},
-                {left: '$$', right: '$$', display: true},
-                {left: '$', right: '$', display: false}
-            ],
-            throwOnError: false,
-            errorCallback: function(msg, err) {
-                renderErrors.push('[KaTeX] ' + msg);
-            }
-        });
+        getMathMacroDiagnostics(mathConfig).forEach(addRenderDiagnostic);
+        var katexOptions = getKatexRenderOptions(mathConfig);
+        katexOptions.errorCallback = function(msg, err) {
+            // Only failures outside KaTeX's own error rendering end up here; no element to tag
+            var formulaMatch = msg.match(/`([^`]*)`/);
+            addRenderDiagnostic({ source: 'katex', line: null, sourceLine: null, message: msg, snippet: formulaMatch ? formulaMatch[1] : '' });
+        };
+        renderMathInElement(document.body, katexOptions);
 
         document.querySelectorAll('.katex-error').forEach(function(errElem) {
-            var line = '?';
-            var parent = errElem.parentElement;
-            while (parent && parent !== document.body) {
-                if (parent.hasAttribute('data-line')) {
-                    line = parent.getAttribute('data-line');
-                    break;
-                }
-                parent = parent.parentElement;
-            }
-            var formula = errElem.getAttribute('title') || errElem.textContent;
-            if (formula && !renderErrors.some(e => e.includes(formula.substring(0, 20)))) {
-                var errorMsg = '[KaTeX Line ' + line + '] ' + formula;
-                renderErrors.push(errorMsg);
-                // Store error message on the element for click handling
-                errElem.setAttribute('data-render-error', errorMsg);
-            }
+            var diagnostic = getKatexErrorDiagnostic(errElem);
+            addRenderDiagnostic(diagnostic);
+            markRenderErrorBlock(errElem, diagnostic);
         });
 
-        document.querySelectorAll('.katex').forEach(function(katex) {
-            var parent = katex.parentElement;
-            while (parent && parent !== document.body) {
-                if (parent.hasAttribute('data-line')) {
-                    katex.setAttribute('data-line', parent.getAttribute('data-line'));
-                    break;
-                }
-                parent = parent.parentElement;
-            }
-        });
+        mapKatexSources();
     }
 
     // Mermaid rendering
@@ -54,18 +30,23 @@ document.addEventListener('DOMContentLoaded', async function() {
             try {
                 await mermaid.run({ nodes: [elem] });
             } catch (e) {
-                var line = elem.getAttribute('data-line') || '?';
-                var msg = e.message || String(e);
-                var errorMsg = '[Mermaid Line ' + line + '] ' + msg;
-                renderErrors.push(errorMsg);
-                // Store error message on the element for click handling
-                elem.setAttribute('data-render-error', errorMsg);
+                var diagnostic = getMermaidErrorDiagnostic(elem, e);
+                addRenderDiagnostic(diagnostic);
+                markRenderErrorBlock(elem, diagnostic);
             }
         }
 
         // Process Mermaid nodes for click handling
         processMermaidNodes();
+        reportMermaidCoverage();
+        initMermaidPanZoom();
     }
 
-    window.chrome.webview.postMessage('render-complete:' + JSON.stringify(renderErrors));
+    await lintMarkdownDocument();
+
+    // Index source lines once everything that carries them has rendered
+    buildLineIndex();
+    startVisibleLinesReporter();
+
+    window.chrome.webview.postMessage('render-complete:' + JSON.stringify(renderDiagnostics));
 });
\ No newline at end of file
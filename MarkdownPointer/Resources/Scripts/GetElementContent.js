@@ -26,13 +26,7 @@ function getElementContent(element) {
     // Code block line
     if (element.classList && element.classList.contains('code-line')) {
         var lineNum = element.getAttribute('data-line');
-        var pre = element.closest('pre');
-        var code = pre ? pre.querySelector('code') : null;
-        var lang = '';
-        if (code && code.className) {
-            var match = code.className.match(/language-(\w+)/);
-            if (match) lang = match[1];
-        }
+        var lang = getCodeLanguage(element.closest('pre'));
         var lineText = element.textContent;
         return 'code[' + (lang || 'text') + ' L' + lineNum + ']: ' + lineText;
     }
@@ -57,137 +51,27 @@ function getElementContent(element) {
     }
     // Mermaid node (inside SVG)
     if (element.hasAttribute && element.hasAttribute('data-mermaid-node')) {
-        var nodeText = element.textContent.trim().replace(/\s+/g, ' ');
-        if (nodeText.length > 40) nodeText = nodeText.substring(0, 40) + '...';
-        var nodeType = 'node';
-        var className = element.getAttribute('class') || '';
-        if (element.classList && element.classList.contains('cluster')) nodeType = 'subgraph';
-        else if (element.classList && element.classList.contains('edgeLabel')) nodeType = 'edge';
-        else if (element.hasAttribute && element.hasAttribute('data-class-name')) {
-            nodeType = 'class';
-            nodeText = element.getAttribute('data-class-name');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-class-relation')) {
-            nodeType = 'relation';
-            nodeText = element.getAttribute('data-class-relation');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-class-member')) {
-            var parent = element.parentElement;
-            if (parent && parent.classList && parent.classList.contains('methods-group')) {
-                nodeType = 'method';
-            } else {
-                nodeType = 'member';
-            }
-        }
-        else if (className.indexOf('messageText') !== -1) nodeType = 'message';
-        else if (element.hasAttribute && element.hasAttribute('data-hit-area-for')) {
-            nodeType = 'arrow';
-            var hitFor = element.getAttribute('data-hit-area-for');
-            var linkMatch = hitFor.match(/^L[-_]([^-_]+)[-_]([^-_]+)[-_]/);
-            if (linkMatch) {
-                var arrowType = element.getAttribute('data-arrow-type') || '-->';
-                nodeText = linkMatch[1] + ' ' + arrowType + ' ' + linkMatch[2];
-            }
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-seq-arrow-text')) {
-            nodeType = 'arrow';
-            nodeText = element.getAttribute('data-seq-arrow-text');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-state-node')) {
-            nodeType = 'state';
-            nodeText = element.getAttribute('data-state-node');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-state-transition')) {
-            nodeType = 'transition';
-            var trans = element.getAttribute('data-state-transition');
-            nodeText = trans.replace('->', ' -> ');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-er-attr')) {
-            nodeType = 'attribute';
-            nodeText = element.getAttribute('data-er-attr');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-er-entity')) {
-            nodeType = 'entity';
-            nodeText = element.getAttribute('data-er-entity');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-er-relation')) {
-            nodeType = 'relationship';
-            nodeText = element.getAttribute('data-er-relation');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-gantt-task')) {
-            nodeType = 'task';
-            nodeText = element.getAttribute('data-gantt-task');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-gantt-task-name')) {
-            nodeType = 'task';
-            nodeText = element.getAttribute('data-gantt-task-name');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-gantt-section')) {
-            nodeType = 'section';
-            nodeText = element.getAttribute('data-gantt-section');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-gantt-title')) {
-            nodeType = 'title';
-            nodeText = element.getAttribute('data-gantt-title');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-pie-slice')) {
-            nodeType = 'slice';
-            nodeText = element.getAttribute('data-pie-slice');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-pie-legend')) {
-            nodeType = 'legend';
-            nodeText = element.getAttribute('data-pie-legend');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-pie-title')) {
-            nodeType = 'title';
-            nodeText = element.getAttribute('data-pie-title');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-git-commit')) {
-            nodeType = 'commit';
-            nodeText = 'commit ' + element.getAttribute('data-git-commit');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-git-label')) {
-            nodeType = 'commit';
-            nodeText = element.getAttribute('data-git-label');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-git-branch')) {
-            nodeType = 'branch';
-            nodeText = element.getAttribute('data-git-branch');
-        }
-        else if (element.hasAttribute && element.hasAttribute('data-mindmap-node')) {
-            nodeType = 'node';
-            nodeText = element.getAttribute('data-mindmap-node');
-        }
-        else if (className.indexOf('flowchart-link') !== -1) {
-            nodeType = 'arrow';
-            var elemId = element.id || '';
-            var linkMatch = elemId.match(/^L[-_]([^-_]+)[-_]([^-_]+)[-_]/);
-            if (linkMatch) {
-                var arrowType = element.getAttribute('data-arrow-type') || '-->';
-                nodeText = linkMatch[1] + ' ' + arrowType + ' ' + linkMatch[2];
-            }
-        }
-        else if (className.indexOf('messageLine') !== -1) {
-            nodeType = 'arrow';
-            var prev = element.previousElementSibling;
-            if (prev && prev.classList && prev.classList.contains('messageText')) {
-                nodeText = prev.textContent.trim();
-            }
-        }
-        else if (className.indexOf('transition') !== -1) {
-            nodeType = 'transition';
-        }
-        return 'mermaid ' + nodeType + ': ' + nodeText;
+        var info = getMermaidNodeInfo(element);
+        return 'mermaid ' + info.type + ': ' + info.text;
     }
     // Mermaid container
     if (element.classList && element.classList.contains('mermaid')) {
+        var mermaidTitle = element.getAttribute('data-mermaid-title');
+        if (mermaidTitle) return 'mermaid diagram: ' + mermaidTitle;
         var src = element.getAttribute('data-mermaid-source') || '';
         if (src) {
-            var firstLine = src.split('\n')[0].trim();
+            // Declaration line, past any frontmatter or %% directives
+            var srcLines = src.split('\n');
+            var firstLine = (srcLines[getMermaidPreamble(srcLines).bodyStart] || '').trim();
             return 'mermaid diagram: ' + firstLine;
         }
         return 'mermaid diagram';
     }
+    // Row of an aligned/matrix environment
+    if (element.hasAttribute('data-tex-row')) {
+        var rowNumber = parseInt(element.getAttribute('data-tex-row'), 10) + 1;
+        return element.getAttribute('data-tex-environment') + '[row ' + rowNumber + ']: ' + element.getAttribute('data-math');
+    }
     if (element.classList.contains('katex') || element.classList.contains('math') || element.querySelector('.katex')) {
         var mathSrc = element.getAttribute('data-math') || element.textContent.trim();
         mathSrc = mathSrc.replace(/\s+/g, ' ');
@@ -195,12 +79,7 @@ function getElementContent(element) {
         return '$$ ' + mathSrc + ' $$';
     }
     if (tagName === 'pre') {
-        var code = element.querySelector('code');
-        var lang = '';
-        if (code && code.className) {
-            var match = code.className.match(/language-(\w+)/);
-            if (match) lang = match[1];
-        }
+        var lang = getCodeLanguage(element);
         var codeText = element.textContent.trim();
         var lines = codeText.split('\n');
         var preview = lines.slice(0, 2).join(' ').substring(0, 50);
@@ -244,4 +123,250 @@ function getElementContent(element) {
     var text = element.textContent.trim();
     if (text.length > 80) text = text.substring(0, 80) + '...';
     return text;
-}
\ No newline at end of file
+}
+
+// Classify a tagged Mermaid SVG element: { type: 'node' | 'arrow' | 'state' | ..., text }
+function getMermaidNodeInfo(element) {
+    var nodeText = element.textContent.trim().replace(/\s+/g, ' ');
+    if (nodeText.length > 40) nodeText = nodeText.substring(0, 40) + '...';
+    var nodeType = 'node';
+    var className = element.getAttribute('class') || '';
+    if (element.classList && element.classList.contains('cluster')) nodeType = 'subgraph';
+    else if (element.classList && element.classList.contains('edgeLabel')) nodeType = 'edge';
+    else if (element.hasAttribute && element.hasAttribute('data-flowchart-edge')) {
+        nodeType = 'arrow';
+        nodeText = element.getAttribute('data-flowchart-edge');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-class-name')) {
+        nodeType = 'class';
+        nodeText = element.getAttribute('data-class-name');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-class-relation')) {
+        nodeType = 'relation';
+        nodeText = element.getAttribute('data-class-relation');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-class-member')) {
+        var parent = element.parentElement;
+        if (parent && parent.classList && parent.classList.contains('methods-group')) {
+            nodeType = 'method';
+        } else {
+            nodeType = 'member';
+        }
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-seq-note')) {
+        nodeType = 'note';
+        nodeText = element.getAttribute('data-seq-note');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-seq-frame-section')) {
+        nodeType = element.getAttribute('data-seq-frame-kind') + '-branch';
+        nodeText = element.getAttribute('data-seq-frame-section');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-seq-frame')) {
+        nodeType = element.getAttribute('data-seq-frame-kind');
+        nodeText = element.getAttribute('data-seq-frame');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-seq-rect')) {
+        nodeType = 'rect';
+        nodeText = element.getAttribute('data-seq-rect');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-seq-activation')) {
+        nodeType = 'activation';
+        nodeText = element.getAttribute('data-seq-activation');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-seq-number')) {
+        nodeType = 'message-number';
+        nodeText = '#' + element.getAttribute('data-seq-number');
+    }
+    else if (className.indexOf('messageText') !== -1) nodeType = 'message';
+    else if (element.hasAttribute && element.hasAttribute('data-hit-area-for')) {
+        nodeType = 'arrow';
+        var hitFor = element.getAttribute('data-hit-area-for');
+        var linkMatch = hitFor.match(/^L[-_]([^-_]+)[-_]([^-_]+)[-_]/);
+        if (linkMatch) {
+            var arrowType = element.getAttribute('data-arrow-type') || '-->';
+            nodeText = linkMatch[1] + ' ' + arrowType + ' ' + linkMatch[2];
+        }
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-seq-arrow-text')) {
+        nodeType = 'arrow';
+        nodeText = element.getAttribute('data-seq-arrow-text');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-state-node')) {
+        nodeType = 'state';
+        nodeText = element.getAttribute('data-state-node');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-state-transition')) {
+        nodeType = 'transition';
+        var trans = element.getAttribute('data-state-transition');
+        nodeText = trans.replace('->', ' -> ');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-er-attr')) {
+        nodeType = 'attribute';
+        nodeText = element.getAttribute('data-er-attr');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-er-entity')) {
+        nodeType = 'entity';
+        nodeText = element.getAttribute('data-er-entity');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-er-relation')) {
+        nodeType = 'relationship';
+        nodeText = element.getAttribute('data-er-relation');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-gantt-task')) {
+        nodeType = 'task';
+        nodeText = element.getAttribute('data-gantt-task');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-gantt-task-name')) {
+        nodeType = 'task';
+        nodeText = element.getAttribute('data-gantt-task-name');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-gantt-section')) {
+        nodeType = 'section';
+        nodeText = element.getAttribute('data-gantt-section');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-gantt-title')) {
+        nodeType = 'title';
+        nodeText = element.getAttribute('data-gantt-title');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-pie-slice')) {
+        nodeType = 'slice';
+        nodeText = element.getAttribute('data-pie-slice');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-pie-legend')) {
+        nodeType = 'legend';
+        nodeText = element.getAttribute('data-pie-legend');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-pie-title')) {
+        nodeType = 'title';
+        nodeText = element.getAttribute('data-pie-title');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-git-commit')) {
+        nodeType = 'commit';
+        nodeText = 'commit ' + element.getAttribute('data-git-commit');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-git-label')) {
+        nodeType = 'commit';
+        nodeText = element.getAttribute('data-git-label');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-git-branch')) {
+        nodeType = 'branch';
+        nodeText = element.getAttribute('data-git-branch');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-mindmap-node')) {
+        nodeType = 'node';
+        nodeText = element.getAttribute('data-mindmap-node');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-journey-task')) {
+        nodeType = 'task';
+        nodeText = element.getAttribute('data-journey-task') + ' (score ' + element.getAttribute('data-journey-score') + ')';
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-journey-face')) {
+        nodeType = 'score';
+        nodeText = element.getAttribute('data-journey-score') + ' (' + element.getAttribute('data-journey-face') + ')';
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-journey-actor')) {
+        nodeType = 'actor';
+        nodeText = element.getAttribute('data-journey-actor');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-journey-section')) {
+        nodeType = 'section';
+        nodeText = element.getAttribute('data-journey-section');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-timeline-section')) {
+        nodeType = 'section';
+        nodeText = element.getAttribute('data-timeline-section');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-timeline-period')) {
+        nodeType = 'period';
+        nodeText = element.getAttribute('data-timeline-period');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-timeline-event')) {
+        nodeType = 'event';
+        nodeText = element.getAttribute('data-timeline-event') + ' (' + element.getAttribute('data-timeline-event-period') + ')';
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-quadrant-point')) {
+        nodeType = 'point';
+        nodeText = element.getAttribute('data-quadrant-point') + ' ' + element.getAttribute('data-quadrant-point-value');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-quadrant')) {
+        nodeType = 'quadrant';
+        nodeText = element.getAttribute('data-quadrant');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-chart-bar')) {
+        nodeType = 'bar';
+        nodeText = element.getAttribute('data-chart-bar');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-chart-series')) {
+        nodeType = 'series';
+        nodeText = element.getAttribute('data-chart-series') + ' (' + element.getAttribute('data-chart-series-type') + ')';
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-chart-axis')) {
+        nodeType = 'axis';
+        var axisLabel = element.getAttribute('data-chart-axis-label');
+        nodeText = element.getAttribute('data-chart-axis') + (axisLabel ? ' ' + axisLabel : '');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-sankey-flow')) {
+        nodeType = 'flow';
+        nodeText = element.getAttribute('data-sankey-flow') + ' (' + element.getAttribute('data-sankey-value') + ')';
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-sankey-node')) {
+        nodeType = 'node';
+        nodeText = element.getAttribute('data-sankey-node');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-c4-element')) {
+        nodeType = element.getAttribute('data-c4-kind') || 'element';
+        nodeText = element.getAttribute('data-c4-element');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-c4-rel')) {
+        nodeType = 'relationship';
+        nodeText = element.getAttribute('data-c4-rel');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-requirement')) {
+        nodeType = element.getAttribute('data-requirement-kind') || 'requirement';
+        nodeText = element.getAttribute('data-requirement');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-requirement-rel')) {
+        nodeType = 'relationship';
+        nodeText = element.getAttribute('data-requirement-rel');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-arch-element')) {
+        nodeType = element.getAttribute('data-arch-kind') || 'service';
+        nodeText = element.getAttribute('data-arch-element');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-arch-edge')) {
+        nodeType = 'edge';
+        nodeText = element.getAttribute('data-arch-edge');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-block-node')) {
+        nodeType = 'block';
+        nodeText = element.getAttribute('data-block-node') + (nodeText ? ' "' + nodeText + '"' : '');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-block-edge')) {
+        nodeType = 'edge';
+        nodeText = element.getAttribute('data-block-edge');
+    }
+    else if (element.hasAttribute && element.hasAttribute('data-diagram-title')) {
+        nodeType = 'title';
+        nodeText = element.getAttribute('data-diagram-title');
+    }
+    else if (className.indexOf('flowchart-link') !== -1) {
+        nodeType = 'arrow';
+        var elemId = element.id || '';
+        var linkMatch = elemId.match(/^L[-_]([^-_]+)[-_]([^-_]+)[-_]/);
+        if (linkMatch) {
+            var arrowType = element.getAttribute('data-arrow-type') || '-->';
+            nodeText = linkMatch[1] + ' ' + arrowType + ' ' + linkMatch[2];
+        }
+    }
+    else if (className.indexOf('messageLine') !== -1) {
+        nodeType = 'arrow';
+        var prev = element.previousElementSibling;
+        if (prev && prev.classList && prev.classList.contains('messageText')) {
+            nodeText = prev.textContent.trim();
+        }
+    }
+    else if (className.indexOf('transition') !== -1) {
+        nodeType = 'transition';
+    }
+    return { type: nodeType, text: nodeText };
+}
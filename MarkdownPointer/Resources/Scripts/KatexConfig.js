@@ -0,0 +1,55 @@
+// Per-document KaTeX configuration: mathConfig is written into the page by HtmlGenerator from
+// the nearest .markdownpointer.json and the document frontmatter ({ macros, macroLines,
+// delimiters, fleqn, leqno, trust, strict, extensions, errors }).
+var katexDefaultDelimiters = [
+    {left: '\\[', right: '\\]', display: true},
+    {left: '\\(', right: '\\)', display: false},
+    {left: '$$', right: '$$', display: true},
+    {left: '$', right: '$', display: false}
+];
+
+// Options for renderMathInElement; the caller adds errorCallback
+function getKatexRenderOptions(config) {
+    var options = {
+        // Configured delimiters go first so they win over built-in ones they overlap
+        delimiters: config.delimiters.concat(katexDefaultDelimiters),
+        // A copy, so \gdef in a formula leaves mathConfig untouched
+        macros: Object.assign({}, config.macros),
+        throwOnError: false
+    };
+    ['fleqn', 'leqno', 'trust', 'strict'].forEach(function(name) {
+        if (config[name] !== null && config[name] !== undefined) options[name] = config[name];
+    });
+    return options;
+}
+
+// A broken macro only fails where a formula uses it; expanding each macro once reports the
+// definition itself, at its frontmatter line
+function getMathMacroDiagnostics(config) {
+    var diagnostics = [];
+    Object.keys(config.macros).forEach(function(name) {
+        var definition = config.macros[name];
+        var argCount = 0;
+        definition.replace(/#([1-9])/g, function(match, digit) {
+            argCount = Math.max(argCount, parseInt(digit, 10));
+            return match;
+        });
+        try {
+            katex.renderToString(name + '{x}'.repeat(argCount), {
+                macros: Object.assign({}, config.macros),
+                throwOnError: true,
+                strict: 'ignore',
+                trust: true
+            });
+        } catch (e) {
+            diagnostics.push({
+                source: 'config',
+                line: config.macroLines[name] || null,
+                sourceLine: null,
+                message: 'math.macros.' + name + ': ' + (e && e.message ? e.message : String(e)),
+                snippet: name + ': ' + definition
+            });
+        }
+    });
+    return diagnostics;
+}
@@ -0,0 +1,140 @@
+// KaTeX source mapping: each rendered formula gets its original TeX (data-math) and its
+// start/end source lines (data-line, data-end-line) from the .math element the renderer
+// wrote around it. Rows of aligned/matrix/cases environments get their own data-line and
+// data-tex-row, so pointing at a row returns that row's TeX and line.
+
+// Environments that take a column spec or alignment count before their first row
+var katexSpecEnvironments = /^(array|darray|subarray|alignedat|alignat\*?)$/;
+
+// TeX of a formula without a .math wrapper (e.g. delimiters in raw HTML), from KaTeX's MathML annotation
+function getKatexAnnotationTex(katex) {
+    var annotation = katex.querySelector('annotation[encoding="application/x-tex"]');
+    return annotation ? annotation.textContent : null;
+}
+
+// Index just past the balanced {...} group starting at `index`, or `index` when there is none
+function skipTexGroup(tex, index, open, close) {
+    var i = index;
+    while (i < tex.length && /\s/.test(tex.charAt(i))) i++;
+    if (tex.charAt(i) !== open) return index;
+    var depth = 0;
+    for (; i < tex.length; i++) {
+        var ch = tex.charAt(i);
+        if (ch === '\\') { i++; continue; }
+        if (ch === open) depth++;
+        else if (ch === close && --depth === 0) return i + 1;
+    }
+    return index;
+}
+
+// Environments in \begin order (the order KaTeX emits their .mtable elements), each with its
+// rows as { tex, offset } where offset is the index of the row's first character in `tex`
+function getTexEnvironments(tex) {
+    var environments = [];
+    var stack = [];
+    var braceDepth = 0;
+    var endRow = function(frame, end, next) {
+        frame.rows.push({ start: frame.rowStart, end: end });
+        frame.rowStart = next;
+    };
+    for (var i = 0; i < tex.length; i++) {
+        var ch = tex.charAt(i);
+        var frame = stack[stack.length - 1];
+        if (ch === '{') { braceDepth++; continue; }
+        if (ch === '}') { braceDepth--; continue; }
+        if (ch !== '\\') continue;
+        var rest = tex.substring(i);
+        var env = rest.match(/^\\(begin|end)\s*\{([^}]*)\}/);
+        if (env && env[1] === 'begin') {
+            var bodyStart = i + env[0].length;
+            bodyStart = skipTexGroup(tex, bodyStart, '[', ']');
+            if (katexSpecEnvironments.test(env[2])) bodyStart = skipTexGroup(tex, bodyStart, '{', '}');
+            var opened = { name: env[2], braceDepth: braceDepth, rowStart: bodyStart, rows: [] };
+            environments.push(opened);
+            stack.push(opened);
+            i = bodyStart - 1;
+        } else if (env) {
+            if (frame) {
+                endRow(frame, i, i);
+                stack.pop();
+            }
+            i += env[0].length - 1;
+        } else if (frame && braceDepth === frame.braceDepth && (rest.charAt(1) === '\\' || /^\\cr(?![a-zA-Z])/.test(rest))) {
+            // Row separator, with an optional spacing argument: \\[2pt]
+            var next = i + (rest.charAt(1) === '\\' ? 2 : 3);
+            endRow(frame, i, skipTexGroup(tex, next, '[', ']'));
+            i = frame.rowStart - 1;
+        } else {
+            // Any other control sequence, including \{ and \}
+            i++;
+        }
+    }
+    return environments.map(function(environment) {
+        var rows = environment.rows.map(function(row) {
+            var text = tex.substring(row.start, row.end);
+            var leading = text.match(/^(\s|\\hline\b|\\hdashline\b)*/)[0].length;
+            return { tex: text.substring(leading).trim(), offset: row.start + leading };
+        });
+        // KaTeX drops an empty row after a trailing \\
+        if (rows.length > 1 && !rows[rows.length - 1].tex) rows.pop();
+        return { name: environment.name, rows: rows };
+    });
+}
+
+// Per-row cells of a rendered .mtable: one entry per row, each the row's span in every column
+function getKatexTableRows(mtable) {
+    var rows = [];
+    Array.from(mtable.children).forEach(function(column) {
+        if (!/\bcol-align-/.test(column.className)) return;
+        var vlist = column.querySelector('.vlist');
+        if (!vlist) return;
+        Array.from(vlist.children).forEach(function(cell, index) {
+            (rows[index] = rows[index] || []).push(cell);
+        });
+    });
+    return rows;
+}
+
+// Tag environment rows with their source line; skipped when the TeX and the rendered tables
+// disagree (e.g. \substack, which renders a table without an environment)
+function mapKatexRows(katex, tex, texLine) {
+    var html = katex.querySelector('.katex-html') || katex;
+    var mtables = html.querySelectorAll('.mtable');
+    var environments = getTexEnvironments(tex);
+    if (mtables.length === 0 || mtables.length !== environments.length) return;
+    environments.forEach(function(environment, index) {
+        var rows = getKatexTableRows(mtables[index]);
+        if (rows.length !== environment.rows.length) return;
+        environment.rows.forEach(function(row, rowIndex) {
+            var line = texLine + (tex.substring(0, row.offset).match(/\n/g) || []).length;
+            rows[rowIndex].forEach(function(cell) {
+                cell.setAttribute('data-line', String(line));
+                cell.setAttribute('data-tex-row', String(rowIndex));
+                cell.setAttribute('data-tex-environment', environment.name);
+                cell.setAttribute('data-math', row.tex);
+            });
+        });
+    });
+}
+
+// Called by DomContentLoadedHandler after auto-render
+function mapKatexSources() {
+    document.querySelectorAll('.katex').forEach(function(katex) {
+        var wrapper = katex.closest('[data-math]');
+        var tex = wrapper ? wrapper.getAttribute('data-math') : getKatexAnnotationTex(katex);
+        var texLine = wrapper ? parseInt(wrapper.getAttribute('data-tex-line'), 10) : NaN;
+        // Display blocks start at their opening $$, inline formulas where their TeX starts,
+        // anything else at its enclosing block
+        var line = isNaN(texLine) ? null : String(texLine);
+        var block = katex.parentElement ? katex.parentElement.closest('[data-line]') : null;
+        if (block && (line === null || block === wrapper)) line = block.getAttribute('data-line');
+        if (line !== null) katex.setAttribute('data-line', line);
+        if (wrapper && wrapper.hasAttribute('data-end-line')) {
+            katex.setAttribute('data-end-line', wrapper.getAttribute('data-end-line'));
+        }
+        if (tex !== null) {
+            katex.setAttribute('data-math', tex);
+            if (!isNaN(texLine)) mapKatexRows(katex, tex, texLine);
+        }
+    });
+}
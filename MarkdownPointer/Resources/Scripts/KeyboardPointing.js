@@ -0,0 +1,143 @@
+// Keyboard pointing: j/k/arrows move the highlight between sibling pointables,
+// Tab/Shift-Tab descend into and out of children, Enter points like a click.
+// The hierarchy is the nesting of pointable elements (table > row > cell,
+// Mermaid container > nodes, code block > lines, list > item).
+var keyboardLiveRegion = null;
+var keyboardTree = null;
+
+function getKeyboardParent(pointable) {
+    var up = pointable.parentElement || pointable.parentNode;
+    if (!up || up === document.body) return null;
+    return getPointableElement(up);
+}
+
+// Children of every pointable, keyed by parent (null for top-level elements). Built once per
+// render: the line index is rebuilt on each render, so a new index means a new tree.
+function getKeyboardTree() {
+    var index = getLineIndex();
+    if (keyboardTree && keyboardTree.index === index) return keyboardTree;
+
+    var children = new Map();
+    var seen = new Set();
+    document.querySelectorAll('[data-line], [data-mermaid-node], td, th').forEach(function(el) {
+        // Transparent hit areas duplicate the path they cover
+        if (el.hasAttribute('data-hit-area') || el.closest('.mdp-ui')) return;
+        var pointable = getPointableElement(el);
+        if (!pointable || seen.has(pointable)) return;
+        seen.add(pointable);
+        var parent = getKeyboardParent(pointable);
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(pointable);
+    });
+    // Mermaid nodes render in SVG order; present them in source order
+    children.forEach(function(list) {
+        list.sort(function(a, b) {
+            var lineA = parseInt(getElementLine(a), 10);
+            var lineB = parseInt(getElementLine(b), 10);
+            if (!isNaN(lineA) && !isNaN(lineB) && lineA !== lineB) return lineA - lineB;
+            var pos = a.compareDocumentPosition(b);
+            if (pos & Node.DOCUMENT_POSITION_FOLLOWING) return -1;
+            if (pos & Node.DOCUMENT_POSITION_PRECEDING) return 1;
+            return 0;
+        });
+    });
+    keyboardTree = { index: index, children: children };
+    return keyboardTree;
+}
+
+function getKeyboardChildren(parent) {
+    return getKeyboardTree().children.get(parent || null) || [];
+}
+
+// Next/previous sibling; past the last sibling, continue with the parent's sibling
+function getKeyboardSibling(pointable, step) {
+    while (pointable) {
+        var parent = getKeyboardParent(pointable);
+        var siblings = getKeyboardChildren(parent);
+        var next = siblings[siblings.indexOf(pointable) + step];
+        if (next) return next;
+        pointable = parent;
+    }
+    return null;
+}
+
+// First top-level element in the viewport, used when keyboard navigation starts
+function getFirstVisiblePointable() {
+    var roots = getKeyboardChildren(null);
+    for (var i = 0; i < roots.length; i++) {
+        if (roots[i].getBoundingClientRect().bottom > 0) return roots[i];
+    }
+    return roots[0] || null;
+}
+
+function moveKeyboardHighlight(pointable) {
+    if (!pointable) return;
+    if (currentHighlight) currentHighlight.classList.remove('pointing-highlight');
+    pointable.classList.add('pointing-highlight');
+    currentHighlight = pointable;
+    if (pointable instanceof SVGElement) revealMermaidElement(pointable);
+    pointable.scrollIntoView({ block: 'nearest' });
+    announcePointable(pointable);
+}
+
+// Screen readers read the element summary through a polite live region
+function announcePointable(pointable) {
+    if (!keyboardLiveRegion) {
+        keyboardLiveRegion = document.createElement('div');
+        keyboardLiveRegion.className = 'pointing-live-region mdp-ui';
+        keyboardLiveRegion.setAttribute('role', 'status');
+        keyboardLiveRegion.setAttribute('aria-live', 'polite');
+        document.body.appendChild(keyboardLiveRegion);
+    }
+    var children = getKeyboardChildren(pointable).length;
+    keyboardLiveRegion.textContent = 'Line ' + getElementLine(pointable) + ', ' + getElementKind(pointable) + ': ' +
+        getElementContent(pointable) + (children > 0 ? ' (' + children + ' children, Tab to enter)' : '');
+}
+
+document.addEventListener('keydown', function(e) {
+    if (!pointingModeEnabled || e.altKey || e.metaKey) return;
+    if (e.ctrlKey && e.key !== 'Enter') return;
+    // Leave typing in note editors and other in-page UI alone
+    if (e.target.closest && (e.target.closest('.mdp-ui') || e.target.closest('input, textarea'))) return;
+
+    var current = currentHighlight;
+    var target = null;
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowRight':
+        case 'j':
+            target = current ? getKeyboardSibling(current, 1) : getFirstVisiblePointable();
+            break;
+        case 'ArrowUp':
+        case 'ArrowLeft':
+        case 'k':
+            target = current ? getKeyboardSibling(current, -1) : getFirstVisiblePointable();
+            break;
+        case 'Tab':
+            if (!current) {
+                target = getFirstVisiblePointable();
+            } else if (e.shiftKey) {
+                target = getKeyboardParent(current);
+            } else {
+                target = getKeyboardChildren(current)[0] || null;
+            }
+            // Keep focus in the document even when there is nowhere to go
+            e.preventDefault();
+            break;
+        case 'Enter':
+            if (!current) return;
+            e.preventDefault();
+            // Ctrl/Shift+Enter mirrors Ctrl/Shift+click
+            if (e.ctrlKey || e.shiftKey) {
+                togglePointingSelection(current);
+            } else {
+                flashPointable(current);
+                window.chrome.webview.postMessage('point:' + JSON.stringify(getPointingPayload(current)));
+            }
+            return;
+        default:
+            return;
+    }
+    e.preventDefault();
+    moveKeyboardHighlight(target);
+});
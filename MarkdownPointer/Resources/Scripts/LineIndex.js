@@ -0,0 +1,96 @@
+// Source line index: built once per render by DomContentLoadedHandler after KaTeX
+// and Mermaid processing, so lookups never rescan the DOM.
+// Entries are sorted by line, then document order (outer blocks before their children).
+var lineIndex = null;
+var lineIndexByElement = new WeakMap();
+
+function buildLineIndex() {
+    lineIndex = [];
+    lineIndexByElement = new WeakMap();
+    var order = 0;
+    document.querySelectorAll('[data-line], [data-source-line]').forEach(function(el) {
+        // Hit areas duplicate the path they cover
+        if (el.hasAttribute('data-hit-area') || el.closest('.mdp-ui')) return;
+        var line = parseInt(el.getAttribute('data-source-line') || el.getAttribute('data-line'), 10);
+        if (isNaN(line)) return;
+        lineIndex.push({ line: line, element: el, order: order++ });
+        lineIndexByElement.set(el, line);
+    });
+    lineIndex.sort(function(a, b) {
+        return a.line - b.line || a.order - b.order;
+    });
+    return lineIndex;
+}
+
+function getLineIndex() {
+    return lineIndex || buildLineIndex();
+}
+
+// Position of the first entry with entry.line >= line (binary search)
+function findLineIndexPosition(line) {
+    var index = getLineIndex();
+    var low = 0;
+    var high = index.length;
+    while (low < high) {
+        var mid = (low + high) >> 1;
+        if (index[mid].line < line) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+// All indexed elements whose source line is exactly `line`, in document order
+function getElementsAtLine(line) {
+    var index = getLineIndex();
+    var elements = [];
+    for (var i = findLineIndexPosition(line); i < index.length && index[i].line === line; i++) {
+        elements.push(index[i].element);
+    }
+    return elements;
+}
+
+// Most specific element at a line (code line, table row, Mermaid node), or null
+function getElementAtLine(line) {
+    var innermost = getInnermostElements(getElementsAtLine(line));
+    return innermost.length > 0 ? innermost[0] : null;
+}
+
+// All indexed elements with startLine <= line <= endLine, sorted by line
+function getElementsInRange(startLine, endLine) {
+    var index = getLineIndex();
+    var elements = [];
+    for (var i = findLineIndexPosition(startLine); i < index.length && index[i].line <= endLine; i++) {
+        elements.push(index[i].element);
+    }
+    return elements;
+}
+
+// Elements at the closest indexed line at or before `line`
+function getNearestPrecedingElements(line) {
+    var pos = findLineIndexPosition(line + 1);
+    return pos > 0 ? getElementsAtLine(getLineIndex()[pos - 1].line) : [];
+}
+
+// Elements at the closest indexed line at or after `line`
+function getNearestFollowingElements(line) {
+    var index = getLineIndex();
+    var pos = findLineIndexPosition(line);
+    return pos < index.length ? getElementsAtLine(index[pos].line) : [];
+}
+
+// Drop elements that contain another element of the list.
+// KaTeX formulas and their rows sit inside a block and never count as more specific.
+function getInnermostElements(elements) {
+    var blocks = elements.filter(function(el) { return !el.closest('.katex'); });
+    if (blocks.length === 0) return elements;
+    return blocks.filter(function(el) {
+        return !blocks.some(function(other) { return other !== el && el.contains(other); });
+    });
+}
+
+// Drop elements contained in another element of the list
+function getOutermostElements(elements) {
+    return elements.filter(function(el) {
+        return !elements.some(function(other) { return other !== el && other.contains(el); });
+    });
+}
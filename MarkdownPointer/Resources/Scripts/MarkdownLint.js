@@ -0,0 +1,158 @@
+// Markdown lint: problems in the rendered document that Markdig renders without complaint.
+// Findings are render diagnostics with source 'markdown' and a rule name, so they reach the
+// problems panel and the host alongside Mermaid/KaTeX errors. The flagged element gets a
+// data-lint attribute (one finding per line) that pointing adds to the pointed content.
+var lintIgnoreSelector = '.mdp-ui, svg, .katex';
+// Images still loading after this long are not held up for; render-complete waits on them
+var lintImageTimeoutMs = 500;
+
+function addLintFinding(element, rule, message, snippet) {
+    var diagnostic = {
+        source: 'markdown',
+        rule: rule,
+        line: element.hasAttribute('data-line') ? parseInt(element.getAttribute('data-line'), 10) : getBlockLine(element),
+        sourceLine: null,
+        message: message,
+        snippet: snippet || ''
+    };
+    if (!addRenderDiagnostic(diagnostic)) return;
+    var existing = element.getAttribute('data-lint');
+    element.setAttribute('data-lint', existing ? existing + '\n' + message : message);
+    element.classList.add('lint-finding');
+}
+
+function getLintElements(selector) {
+    return Array.from(document.body.querySelectorAll(selector)).filter(function(el) {
+        return !el.closest(lintIgnoreSelector);
+    });
+}
+
+function getLinkMarkdown(link) {
+    return '[' + link.textContent.trim() + '](' + (link.getAttribute('href') || '') + ')';
+}
+
+function lintLinks() {
+    getLintElements('a[href]').forEach(function(link) {
+        var href = link.getAttribute('href');
+        if (href === '' || href === '#') {
+            addLintFinding(link, 'empty-link', 'Empty link destination', getLinkMarkdown(link));
+            return;
+        }
+        if (!link.textContent.trim() && !link.querySelector('img, svg')) {
+            addLintFinding(link, 'empty-link', 'Link has no text', getLinkMarkdown(link));
+        }
+        if (href.charAt(0) !== '#') return;
+        // Resolved the same way as the click handler in CoreEventHandlers
+        var id = href.substring(1);
+        try { id = decodeURIComponent(id); } catch (e) { }
+        if (!document.getElementById(id)) {
+            addLintFinding(link, 'broken-anchor', 'Broken anchor: no element with id "' + id + '"', getLinkMarkdown(link));
+        }
+    });
+}
+
+// Resolves to true when a relative image fails to load; absolute and data: URLs are not checked.
+// An image that has neither loaded nor failed within lintImageTimeoutMs counts as present.
+function isMissingImage(img) {
+    var src = img.getAttribute('src') || '';
+    if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src)) return Promise.resolve(false);
+    if (!src) return Promise.resolve(true);
+    if (img.complete) return Promise.resolve(img.naturalWidth === 0);
+    return new Promise(function(resolve) {
+        img.addEventListener('load', function() { resolve(false); }, { once: true });
+        img.addEventListener('error', function() { resolve(true); }, { once: true });
+        setTimeout(function() { resolve(false); }, lintImageTimeoutMs);
+    });
+}
+
+async function lintImages() {
+    var images = getLintElements('img');
+    var missing = await Promise.all(images.map(isMissingImage));
+    images.forEach(function(img, index) {
+        if (!missing[index]) return;
+        var src = img.getAttribute('src') || '';
+        addLintFinding(img, 'missing-image', src ? 'Image not found: ' + src : 'Image has no source',
+            '![' + (img.getAttribute('alt') || '') + '](' + src + ')');
+    });
+}
+
+// Approximation of the auto identifier Markdig derives from heading text
+function getHeadingSlug(text) {
+    return text.toLowerCase().replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-');
+}
+
+// Markdig keeps auto identifiers unique by suffixing repeats ("setup", "setup-1"), so a
+// repeated heading shows up as an id that is an earlier heading's id plus "-N" and that
+// its own text would not produce ("Step 1" after "Step" is not a repeat). An explicit
+// {#id} attribute is not renamed, so a reused one leaves two elements with the same id
+// and anchors to it reach only the first
+function lintHeadings() {
+    var headingIds = Object.create(null);
+    var previousLevel = 0;
+    getLintElements('h1, h2, h3, h4, h5, h6').forEach(function(heading) {
+        var level = parseInt(heading.tagName.charAt(1), 10);
+        var snippet = '#'.repeat(level) + ' ' + heading.textContent.trim();
+        if (previousLevel && level > previousLevel + 1) {
+            addLintFinding(heading, 'heading-level', 'Heading level skipped: h' + previousLevel + ' to h' + level, snippet);
+        }
+        previousLevel = level;
+
+        if (!heading.id) return;
+        if (headingIds[heading.id]) {
+            addLintFinding(heading, 'duplicate-id', 'Duplicate heading id: "' + heading.id + '" is also used by line ' +
+                headingIds[heading.id] + ', links to #' + heading.id + ' go there', snippet);
+            return;
+        }
+        var suffixMatch = heading.id.match(/^(.+)-\d+$/);
+        if (suffixMatch && headingIds[suffixMatch[1]] && getHeadingSlug(heading.textContent) !== heading.id) {
+            addLintFinding(heading, 'duplicate-id', 'Duplicate heading: id "' + suffixMatch[1] + '" is taken by line ' +
+                headingIds[suffixMatch[1]] + ', this one is "' + heading.id + '"', snippet);
+        }
+        headingIds[heading.id] = heading.getAttribute('data-line') || getBlockLine(heading);
+    });
+}
+
+// Source cell count of a row: the renderer records it in data-source-cells when Markdig
+// padded the row to the table's column count
+function getSourceCellCount(tr) {
+    var count = parseInt(tr.getAttribute('data-source-cells'), 10);
+    return isNaN(count) ? tr.children.length : count;
+}
+
+function lintTables() {
+    getLintElements('table').forEach(function(table) {
+        var rows = Array.from(table.querySelectorAll('tr')).filter(function(tr) { return tr.closest('table') === table; });
+        if (rows.length < 2) return;
+        var columns = getSourceCellCount(rows[0]);
+        rows.slice(1).forEach(function(tr) {
+            var cells = getSourceCellCount(tr);
+            if (cells !== columns) {
+                addLintFinding(tr, 'ragged-table', 'Table row has ' + cells + ' cell' + (cells === 1 ? '' : 's') +
+                    ', header has ' + columns, getTableRowMarkdown(tr));
+            }
+        });
+    });
+}
+
+// Called by DomContentLoadedHandler once Mermaid and KaTeX have rendered
+async function lintMarkdownDocument() {
+    lintHeadings();
+    lintLinks();
+    lintTables();
+    await lintImages();
+}
+
+// Findings on the pointed element, the blocks around it and the links or images inside it
+function getLintFindings(element) {
+    var findings = [];
+    var add = function(el) {
+        el.getAttribute('data-lint').split('\n').forEach(function(message) {
+            if (findings.indexOf(message) === -1) findings.push(message);
+        });
+    };
+    for (var node = element; node && node !== document.body; node = node.parentElement) {
+        if (node.hasAttribute && node.hasAttribute('data-lint')) add(node);
+    }
+    if (element.querySelectorAll) element.querySelectorAll('[data-lint]').forEach(add);
+    return findings;
+}
@@ -0,0 +1,158 @@
+// Mermaid mapping diagnostics: an overlay (toggled from the host) that outlines every SVG
+// element processMermaidNodes tagged, colour-coded by its data-* kind and labelled with its
+// source line, and marks text and node-like elements that were left untagged.
+// Per-diagram coverage is posted to the host as 'mermaid-coverage:' after each render.
+
+// Attributes shared by all tagged elements; the first other data-* attribute names the kind
+var mermaidGenericAttributes = ['data-mermaid-node', 'data-source-line', 'data-source-end-line', 'data-hit-area', 'data-id', 'data-arrow-type', 'data-edge-from', 'data-edge-to'];
+
+// Rendered elements a reader would expect to point at
+var mermaidPointableSelector = 'text, g.node, g.cluster, g.edgeLabel, path[id], line[id]';
+
+// Issues listed per diagram; the rest are only counted so the report stays small enough
+// for the host's pipe replies
+var mermaidCoverageIssueLimit = 25;
+
+function getMermaidElementKind(element) {
+    for (var i = 0; i < element.attributes.length; i++) {
+        var name = element.attributes[i].name;
+        if (name.indexOf('data-') === 0 && mermaidGenericAttributes.indexOf(name) === -1) {
+            return name.substring(5);
+        }
+    }
+    // Flowchart nodes and subgraphs carry no kind attribute of their own
+    return getMermaidNodeInfo(element).type;
+}
+
+// Stable colour per kind, so the same kind looks the same in every diagram
+function getMermaidKindColor(kind) {
+    var hash = 0;
+    for (var i = 0; i < kind.length; i++) hash = (hash * 31 + kind.charCodeAt(i)) % 360;
+    return 'hsl(' + hash + ', 70%, 45%)';
+}
+
+function getMermaidTaggedElements(svg) {
+    return Array.from(svg.querySelectorAll('[data-mermaid-node]')).filter(function(el) {
+        return !el.hasAttribute('data-hit-area');
+    });
+}
+
+// Untagged elements that look pointable: not inside or around a tagged element, not in
+// marker definitions, and with visible text unless they are a drawn connector
+function getMermaidUntaggedElements(svg) {
+    var untagged = Array.from(svg.querySelectorAll(mermaidPointableSelector)).filter(function(el) {
+        if (el.closest('[data-mermaid-node], defs, marker, .mermaid-debug-layer')) return false;
+        if (el.querySelector('[data-mermaid-node]')) return false;
+        var tag = el.tagName.toLowerCase();
+        return tag === 'path' || tag === 'line' || el.textContent.trim() !== '';
+    });
+    return getOutermostElements(untagged);
+}
+
+function describeMermaidElement(element) {
+    var text = element.textContent.trim().replace(/\s+/g, ' ');
+    if (text.length > 40) text = text.substring(0, 40) + '...';
+    var name = element.tagName.toLowerCase() + (element.getAttribute('class') ? '.' + element.getAttribute('class').split(/\s+/)[0] : '');
+    return text ? name + ' "' + text + '"' : name + (element.id ? '#' + element.id : '');
+}
+
+// Coverage of one rendered diagram: tagged elements, how many carry a source line,
+// what was left untagged and which source statements found no element (the first
+// mermaidCoverageIssueLimit of them, with issueCount giving the total)
+function getMermaidCoverage(container) {
+    var svg = container.querySelector('svg');
+    var tagged = getMermaidTaggedElements(svg);
+    var mapped = tagged.filter(function(el) { return el.hasAttribute('data-source-line'); }).length;
+    var untagged = getMermaidUntaggedElements(svg);
+    var issues = (container.mermaidDiagnostics || []).map(function(diagnostic) {
+        return { kind: diagnostic.kind, line: diagnostic.line || null, text: diagnostic.text };
+    });
+    untagged.forEach(function(el) {
+        issues.push({ kind: 'untagged-element', line: null, text: describeMermaidElement(el) });
+    });
+    var total = tagged.length + untagged.length;
+    return {
+        line: parseInt(container.getAttribute('data-line') || '0', 10),
+        diagramType: container.getAttribute('data-diagram-type') || '',
+        tagged: tagged.length,
+        mapped: mapped,
+        untagged: untagged.length,
+        coverage: total > 0 ? Math.round(mapped * 100 / total) : 100,
+        issueCount: issues.length,
+        issues: issues.slice(0, mermaidCoverageIssueLimit)
+    };
+}
+
+// Called by DomContentLoadedHandler once processMermaidNodes has run
+function reportMermaidCoverage() {
+    var report = [];
+    document.querySelectorAll('.mermaid').forEach(function(container) {
+        if (container.querySelector('svg')) report.push(getMermaidCoverage(container));
+    });
+    window.chrome.webview.postMessage('mermaid-coverage:' + JSON.stringify(report));
+}
+
+// Called from C# (Ctrl+Shift+M, and again after each render while enabled)
+function setMermaidDebugOverlay(enabled) {
+    document.querySelectorAll('.mermaid-debug-layer').forEach(function(layer) { layer.remove(); });
+    if (!enabled) return;
+    document.querySelectorAll('.mermaid svg').forEach(function(svg) {
+        var layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        layer.setAttribute('class', 'mermaid-debug-layer mdp-ui');
+        svg.appendChild(layer);
+        getMermaidTaggedElements(svg).forEach(function(el) {
+            var kind = getMermaidElementKind(el);
+            var line = el.getAttribute('data-source-line');
+            var box = addMermaidDebugBox(layer, svg, el, getMermaidKindColor(kind), line ? 'L' + line : '?');
+            if (!box) return;
+            if (!line) box.classList.add('unmapped');
+            addMermaidDebugTitle(box, kind + (line ? ' @ line ' + line : ' (no source line)'));
+        });
+        getMermaidUntaggedElements(svg).forEach(function(el) {
+            var box = addMermaidDebugBox(layer, svg, el, '#d73a49', '');
+            if (!box) return;
+            box.classList.add('untagged');
+            addMermaidDebugTitle(box, 'untagged: ' + describeMermaidElement(el));
+        });
+    });
+}
+
+// Outline an element's bounding box in the root SVG's coordinates, with a line label
+function addMermaidDebugBox(layer, svg, element, color, label) {
+    var bbox = element.getBBox();
+    if (bbox.width === 0 && bbox.height === 0) return null;
+    var svgNs = 'http://www.w3.org/2000/svg';
+    var group = document.createElementNS(svgNs, 'g');
+    group.setAttribute('class', 'mermaid-debug-box');
+    var toRoot = element.getScreenCTM && svg.getScreenCTM && element.getScreenCTM() && svg.getScreenCTM()
+        ? svg.getScreenCTM().inverse().multiply(element.getScreenCTM())
+        : null;
+    if (toRoot) {
+        group.setAttribute('transform', 'matrix(' + [toRoot.a, toRoot.b, toRoot.c, toRoot.d, toRoot.e, toRoot.f].join(' ') + ')');
+    }
+
+    var rect = document.createElementNS(svgNs, 'rect');
+    rect.setAttribute('x', bbox.x);
+    rect.setAttribute('y', bbox.y);
+    rect.setAttribute('width', bbox.width);
+    rect.setAttribute('height', bbox.height);
+    rect.setAttribute('stroke', color);
+    group.appendChild(rect);
+
+    if (label) {
+        var text = document.createElementNS(svgNs, 'text');
+        text.setAttribute('x', bbox.x);
+        text.setAttribute('y', bbox.y - 1);
+        text.setAttribute('fill', color);
+        text.textContent = label;
+        group.appendChild(text);
+    }
+    layer.appendChild(group);
+    return group;
+}
+
+function addMermaidDebugTitle(box, text) {
+    var title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = text;
+    box.appendChild(title);
+}
@@ -0,0 +1,153 @@
+// Connected subgraph of a Mermaid node: holding Alt over a flowchart or state node highlights
+// its incoming and outgoing edges and neighbours and dims the rest of the diagram;
+// Alt+Shift extends it to everything upstream and downstream. Alt+click points at the node
+// with its neighbour list, e.g. 'mermaid node: Validate (in: Parse; out: Store, Reject)'.
+// The graph is read from the data-edge-from/data-edge-to attributes set in applyMappingsToSvg.
+var mermaidHoverNode = null;
+var mermaidNeighborhoodSvg = null;
+
+// Nodes by diagram id and edges with their rendered elements (path, hit area, label)
+function getMermaidGraph(svg) {
+    if (svg.mermaidGraph) return svg.mermaidGraph;
+    var graph = { nodes: {}, edges: [] };
+    svg.querySelectorAll('g.node[id], g.cluster[id], g[id^="state-"]').forEach(function(el) {
+        if (!el.hasAttribute('data-mermaid-node')) return;
+        var id = getMermaidNodeId(el);
+        if (id && !graph.nodes[id]) graph.nodes[id] = el;
+    });
+    var edgesByEnds = {};
+    svg.querySelectorAll('[data-edge-from]').forEach(function(el) {
+        var from = el.getAttribute('data-edge-from');
+        var to = el.getAttribute('data-edge-to');
+        var key = from + '\n' + to;
+        if (!edgesByEnds[key]) {
+            edgesByEnds[key] = { from: from, to: to, elements: [] };
+            graph.edges.push(edgesByEnds[key]);
+        }
+        edgesByEnds[key].elements.push(el);
+    });
+    svg.mermaidGraph = graph;
+    return graph;
+}
+
+// The graph node a pointable belongs to, or null for edges and non-graph diagrams
+function getMermaidGraphNode(element) {
+    var svg = element && element.ownerSVGElement;
+    if (!svg || element.hasAttribute('data-edge-from')) return null;
+    var graph = getMermaidGraph(svg);
+    var id = getMermaidNodeId(element);
+    return id && graph.nodes[id] === element && graph.edges.length > 0 ? { svg: svg, graph: graph, id: id } : null;
+}
+
+// Direct neighbours of a node, or with `transitive` every node upstream and downstream of it
+function getMermaidNeighborhood(graph, id, transitive) {
+    var result = { nodes: {}, edges: [], incoming: [], outgoing: [] };
+    result.nodes[id] = true;
+    [['to', 'from', 'incoming'], ['from', 'to', 'outgoing']].forEach(function(direction) {
+        var queue = [id];
+        var seen = {};
+        seen[id] = true;
+        while (queue.length > 0) {
+            var current = queue.shift();
+            graph.edges.forEach(function(edge) {
+                if (edge[direction[0]] !== current) return;
+                var next = edge[direction[1]];
+                if (result.edges.indexOf(edge) === -1) result.edges.push(edge);
+                result.nodes[next] = true;
+                if (current === id && next !== id && result[direction[2]].indexOf(next) === -1) {
+                    result[direction[2]].push(next);
+                }
+                if (transitive && !seen[next]) {
+                    seen[next] = true;
+                    queue.push(next);
+                }
+            });
+        }
+    });
+    return result;
+}
+
+function getMermaidNodeLabel(graph, id) {
+    var node = graph.nodes[id];
+    var text = node ? getMermaidNodeInfo(node).text : '';
+    return text || id;
+}
+
+// Incoming and outgoing neighbour labels of a pointed node, or null
+function getMermaidNeighbors(element) {
+    var node = getMermaidGraphNode(element);
+    if (!node) return null;
+    var neighborhood = getMermaidNeighborhood(node.graph, node.id, false);
+    return {
+        incoming: neighborhood.incoming.map(function(id) { return getMermaidNodeLabel(node.graph, id); }),
+        outgoing: neighborhood.outgoing.map(function(id) { return getMermaidNodeLabel(node.graph, id); })
+    };
+}
+
+// e.g. 'in: Parse; out: Store, Reject'
+function formatMermaidNeighbors(neighbors) {
+    var parts = [];
+    if (neighbors.incoming.length > 0) parts.push('in: ' + neighbors.incoming.join(', '));
+    if (neighbors.outgoing.length > 0) parts.push('out: ' + neighbors.outgoing.join(', '));
+    return parts.join('; ');
+}
+
+function showMermaidNeighborhood(element, transitive) {
+    clearMermaidNeighborhood();
+    var node = getMermaidGraphNode(element);
+    if (!node) return;
+    var neighborhood = getMermaidNeighborhood(node.graph, node.id, transitive);
+    Object.keys(neighborhood.nodes).forEach(function(id) {
+        var el = node.graph.nodes[id];
+        if (el) el.classList.add(id === node.id ? 'mermaid-neighbor-focus' : 'mermaid-neighbor');
+    });
+    neighborhood.edges.forEach(function(edge) {
+        edge.elements.forEach(function(el) { el.classList.add('mermaid-neighbor'); });
+    });
+    node.svg.classList.add('mermaid-neighborhood');
+    mermaidNeighborhoodSvg = node.svg;
+}
+
+function clearMermaidNeighborhood() {
+    if (!mermaidNeighborhoodSvg) return;
+    mermaidNeighborhoodSvg.querySelectorAll('.mermaid-neighbor, .mermaid-neighbor-focus').forEach(function(el) {
+        el.classList.remove('mermaid-neighbor', 'mermaid-neighbor-focus');
+    });
+    mermaidNeighborhoodSvg.classList.remove('mermaid-neighborhood');
+    mermaidNeighborhoodSvg = null;
+}
+
+document.addEventListener('mouseover', function(e) {
+    var pointable = getPointableElement(e.target);
+    mermaidHoverNode = pointable && getMermaidGraphNode(pointable) ? pointable : null;
+    if (mermaidHoverNode && e.altKey) showMermaidNeighborhood(mermaidHoverNode, e.shiftKey);
+    else clearMermaidNeighborhood();
+});
+
+document.addEventListener('keydown', function(e) {
+    if ((e.key === 'Alt' || e.key === 'Shift') && e.altKey && mermaidHoverNode) {
+        // Keep the browser from moving focus to the window menu
+        e.preventDefault();
+        showMermaidNeighborhood(mermaidHoverNode, e.shiftKey);
+    }
+});
+
+document.addEventListener('keyup', function(e) {
+    if (e.key === 'Alt') clearMermaidNeighborhood();
+    else if (e.key === 'Shift' && e.altKey && mermaidHoverNode) showMermaidNeighborhood(mermaidHoverNode, false);
+});
+
+// Alt+click points with the neighbour list; runs before the document-level pointing click handler
+window.addEventListener('click', function(e) {
+    if (!pointingModeEnabled || !e.altKey || e.defaultPrevented) return;
+    var pointable = getPointableElement(e.target);
+    var neighbors = pointable ? getMermaidNeighbors(pointable) : null;
+    if (!neighbors) return;
+    e.preventDefault();
+    e.stopPropagation();
+    var payload = getPointingPayload(pointable);
+    var listed = formatMermaidNeighbors(neighbors);
+    if (listed) payload.summary += ' (' + listed + ')';
+    flashPointable(pointable);
+    window.chrome.webview.postMessage('point:' + JSON.stringify(payload));
+}, true);
@@ -9,20 +9,163 @@
         var nodeLineMap = {};
         var arrowLineMap = {};
         var arrowTypeMap = {};
-        var messageLineNums = [];
-        var edgeLabelLineMap = {};
+
+        var diagramType = detectMermaidDiagramType(sourceLines);
+        container.setAttribute('data-diagram-type', diagramType);
+        var preamble = getMermaidPreamble(sourceLines);
+        if (preamble.title) container.setAttribute('data-mermaid-title', preamble.title);
+        var model = createMermaidModel(diagramType);
 
         // Parse source for line mappings
-        parseSourceLines(sourceLines, baseLine, nodeLineMap, arrowLineMap, messageLineNums, edgeLabelLineMap, arrowTypeMap);
+        parseSourceLines(sourceLines, baseLine, nodeLineMap, arrowLineMap, arrowTypeMap, model);
 
         // Apply mappings to SVG elements
-        applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edgeLabelLineMap, arrowTypeMap);
+        applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model);
+
+        collectMermaidDiagnostics(container, svg, model);
+    });
+}
+
+// Ordered statement model of one diagram. Statements whose rendered elements can only
+// be found by text (edge labels, messages, sections, ...) are recorded in source order
+// and consumed in rendering order, so repeated labels map to their own lines instead of
+// collapsing to the first occurrence. Everything else the aligners need is kept per
+// diagram type; nodeLineMap only maps node ids to their lines.
+function createMermaidModel(diagramType) {
+    // Maps keyed by source names must not see Object.prototype names ("constructor")
+    var names = function() { return Object.create(null); };
+    return {
+        type: diagramType,
+        statements: [],
+        diagnostics: [],
+        // { line, text } of a journey, timeline, quadrant or XY chart title
+        title: null,
+        // subgraphs: id or title -> line; shaped: ids already given a shape/label
+        flowchart: { edges: [], subgraphs: names(), shaped: names() },
+        // stack: open frames/rects/boxes; openActivations: activated, not yet deactivated
+        sequence: { stack: [], frames: [], rects: [], notes: [], activations: [], openActivations: [], numberedLines: [], autonumber: false },
+        // names: class name -> line; relations: "From_To" -> { line, type, from, to }
+        class: { names: names(), memberLines: [], relations: names() },
+        // composites: composite state name -> line; parents: composite states open at this line
+        state: { names: names(), composites: names(), parents: [] },
+        // entities: declared with a block; relationEntities: only named in a relationship
+        er: { entities: names(), relationEntities: names(), attributeLines: [] },
+        gantt: { taskLines: [] },
+        pie: { sliceLines: [] },
+        // Commit and merge lines in order
+        git: { commitLines: [] },
+        mindmap: { lines: [] },
+        journey: { sections: [], tasks: [] },
+        timeline: { items: [], currentPeriod: '' },
+        // quadrants: quadrant-1..4 at index 0..3; labels: axis label text -> { line, axis }
+        quadrant: { quadrants: [], labels: names(), points: [] },
+        xychart: { plots: [], horizontal: false, xAxis: null, yAxis: null },
+        sankey: { nodes: [], flows: [] },
+        c4: { elements: [], rels: [] },
+        requirement: { nodes: [], rels: [], current: null },
+        architecture: { elements: [], edges: [] },
+        // nodes: block id -> first line it appears on
+        block: { nodes: names(), edges: [] }
+    };
+}
+
+function addMermaidStatement(model, kind, text, line) {
+    var statement = { kind: kind, key: normalizeMermaidLabel(text), text: text, line: line, used: false };
+    model.statements.push(statement);
+    return statement;
+}
+
+// Next unused statement of a kind with this label; a label rendered more often than it
+// is written (e.g. a shared edge label) falls back to its first statement
+function takeMermaidStatement(model, kind, text) {
+    var key = normalizeMermaidLabel(text);
+    var first = null;
+    for (var i = 0; i < model.statements.length; i++) {
+        var statement = model.statements[i];
+        if (statement.kind !== kind || statement.key !== key) continue;
+        if (!statement.used) {
+            statement.used = true;
+            return statement;
+        }
+        if (!first) first = statement;
+    }
+    return first;
+}
+
+// Next unused statement of a kind, for elements rendered in statement order
+function nextMermaidStatement(model, kind) {
+    for (var i = 0; i < model.statements.length; i++) {
+        var statement = model.statements[i];
+        if (statement.kind === kind && !statement.used) {
+            statement.used = true;
+            return statement;
+        }
+    }
+    return null;
+}
+
+// Compare source labels with rendered text: drop quotes, markdown emphasis/code markers,
+// HTML tags and entities, and collapse whitespace
+function normalizeMermaidLabel(text) {
+    return String(text || '')
+        .replace(/<br\s*\/?>/gi, ' ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+        .replace(/\*\*|__|~~|[`*"]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Diagnostics: tagged elements left without a source line, and statements no element
+// consumed. Kept on the container (mermaidDiagnostics) for the debug overlay and host.
+function collectMermaidDiagnostics(container, svg, model) {
+    svg.querySelectorAll('[data-mermaid-node]:not([data-source-line])').forEach(function(el) {
+        if (el.hasAttribute('data-hit-area')) return;
+        var info = getMermaidNodeInfo(el);
+        model.diagnostics.push({ kind: 'unmapped-element', element: el, text: info.type + ': ' + info.text });
+    });
+    model.statements.forEach(function(statement) {
+        if (!statement.used) {
+            model.diagnostics.push({ kind: 'unmatched-statement', line: statement.line, text: statement.kind + ': ' + statement.text });
+        }
     });
+    container.mermaidDiagnostics = model.diagnostics;
+    container.setAttribute('data-mermaid-unmapped', String(model.diagnostics.length));
+}
+
+// Leading YAML frontmatter (---), %%{init}%% directives, %% comments and blank lines.
+// Returns { bodyStart: index of the diagram declaration line, title: frontmatter title or '' }
+function getMermaidPreamble(sourceLines) {
+    var i = 0;
+    var title = '';
+    while (i < sourceLines.length && !sourceLines[i].trim()) i++;
+    if (i < sourceLines.length && sourceLines[i].trim() === '---') {
+        for (i++; i < sourceLines.length && sourceLines[i].trim() !== '---'; i++) {
+            // Top-level key only; config: blocks nest their own title-like keys
+            var titleMatch = sourceLines[i].match(/^title\s*:\s*(.+)$/);
+            if (titleMatch) title = titleMatch[1].trim().replace(/^(["'])(.*)\1$/, '$2');
+        }
+        i++;
+    }
+    while (i < sourceLines.length) {
+        var trimmed = sourceLines[i].trim();
+        if (trimmed.indexOf('%%{') === 0) {
+            // Directives may span several lines until }%%
+            while (i < sourceLines.length && sourceLines[i].indexOf('}%%') === -1) i++;
+            i++;
+        } else if (!trimmed || trimmed.indexOf('%%') === 0) {
+            i++;
+        } else {
+            break;
+        }
+    }
+    return { bodyStart: Math.min(i, sourceLines.length), title: title };
 }
 
-function parseSourceLines(sourceLines, baseLine, nodeLineMap, arrowLineMap, messageLineNums, edgeLabelLineMap, arrowTypeMap) {
-    // Detect diagram type from first line
-    var firstLine = sourceLines[0] ? sourceLines[0].trim().toLowerCase() : '';
+function detectMermaidDiagramType(sourceLines) {
+    // Detect diagram type from the declaration line after any frontmatter/directives
+    var declaration = sourceLines[getMermaidPreamble(sourceLines).bodyStart];
+    var firstLine = declaration ? declaration.trim().toLowerCase() : '';
     var diagramType = 'unknown';
     if (firstLine.indexOf('graph') === 0 || firstLine.indexOf('flowchart') === 0) diagramType = 'flowchart';
     else if (firstLine.indexOf('sequencediagram') === 0) diagramType = 'sequence';
@@ -33,11 +176,34 @@ function parseSourceLines(sourceLines, baseLine, nodeLineMap, arrowLineMap, mess
     else if (firstLine.indexOf('pie') === 0) diagramType = 'pie';
     else if (firstLine.indexOf('gitgraph') === 0) diagramType = 'git';
     else if (firstLine.indexOf('mindmap') === 0) diagramType = 'mindmap';
+    else if (firstLine.indexOf('journey') === 0) diagramType = 'journey';
+    else if (firstLine.indexOf('timeline') === 0) diagramType = 'timeline';
+    else if (firstLine.indexOf('quadrantchart') === 0) diagramType = 'quadrant';
+    else if (firstLine.indexOf('xychart') === 0) diagramType = 'xychart';
+    else if (firstLine.indexOf('sankey') === 0) diagramType = 'sankey';
+    else if (/^c4(context|container|component|dynamic|deployment)/.test(firstLine)) diagramType = 'c4';
+    else if (firstLine.indexOf('requirementdiagram') === 0) diagramType = 'requirement';
+    else if (firstLine.indexOf('architecture') === 0) diagramType = 'architecture';
+    else if (firstLine.indexOf('block') === 0) diagramType = 'block';
+    return diagramType;
+}
 
-    for (var i = 0; i < sourceLines.length; i++) {
+function parseSourceLines(sourceLines, baseLine, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
+    var diagramType = model.type;
+
+    for (var i = getMermaidPreamble(sourceLines).bodyStart; i < sourceLines.length; i++) {
         var line = sourceLines[i];
         var lineNum = baseLine + i + 1;
 
+        // %% comments and %%{...}%% directives inside the body map to nothing
+        if (line.trim().indexOf('%%') === 0) continue;
+
+        // Flowcharts go through the statement tokenizer instead of the generic patterns below
+        if (diagramType === 'flowchart') {
+            parseFlowchartLine(line, lineNum, nodeLineMap, arrowLineMap, arrowTypeMap, model);
+            continue;
+        }
+
         // Flowchart node
         var nodeMatch = line.match(/^\s*([^\s\[\{\(]+)\s*[\[\{\(]/);
         if (nodeMatch && !nodeLineMap[nodeMatch[1]]) {
@@ -47,7 +213,7 @@ function parseSourceLines(sourceLines, baseLine, nodeLineMap, arrowLineMap, mess
         // Flowchart subgraph
         var subgraphMatch = line.match(/^\s*subgraph\s+(\S+)/);
         if (subgraphMatch) {
-            nodeLineMap['subgraph:' + subgraphMatch[1]] = lineNum;
+            model.flowchart.subgraphs[subgraphMatch[1]] = lineNum;
         }
 
         // Flowchart arrow
@@ -61,8 +227,7 @@ function parseSourceLines(sourceLines, baseLine, nodeLineMap, arrowLineMap, mess
             arrowTypeMap[key] = arrowTypeRegex ? arrowTypeRegex[1] : '-->';
             if (arrowMatch[2]) {
                 // Normalize label: strip quotes, convert <br/> to space, trim
-                var label = arrowMatch[2].replace(/\|/g, '').replace(/<br\s*\/?>/g, ' ').replace(/"/g, '').trim().replace(/\s+/g, ' ');
-                edgeLabelLineMap[label] = lineNum;
+                addMermaidStatement(model, 'edge-label', arrowMatch[2].replace(/\|/g, ''), lineNum);
             }
             // Also register the target node
             if (!nodeLineMap[arrowMatch[3]]) {
@@ -70,14 +235,9 @@ function parseSourceLines(sourceLines, baseLine, nodeLineMap, arrowLineMap, mess
             }
         }
 
-        // Sequence diagram message - also build text-to-line mapping
-        if (/->>|-->|->/.test(line) && line.indexOf(':') !== -1) {
-            messageLineNums.push(lineNum);
-            var colonIdx = line.indexOf(':');
-            var msgText = line.substring(colonIdx + 1).trim();
-            if (msgText && !edgeLabelLineMap['seq:' + msgText]) {
-                edgeLabelLineMap['seq:' + msgText] = lineNum;
-            }
+        // Sequence diagram messages, notes, frames, rects and activations
+        if (diagramType === 'sequence') {
+            parseSequenceLine(line, lineNum, nodeLineMap, model);
         }
 
         // Sequence participant/actor - handle "participant A as Alice" format
@@ -101,11 +261,344 @@ function parseSourceLines(sourceLines, baseLine, nodeLineMap, arrowLineMap, mess
 
         // Class diagram, state diagram, ER diagram, Gantt, Pie, Git graph patterns
         // (Additional pattern matching for various Mermaid diagram types)
-        parseAdditionalPatterns(line, lineNum, nodeLineMap, arrowLineMap, edgeLabelLineMap, diagramType);
+        parseAdditionalPatterns(line, lineNum, nodeLineMap, arrowLineMap, model);
+    }
+}
+
+// Sequence statements in rendering order. Messages and notes are drawn in statement order;
+// loop/alt/opt/par/critical/break frames and rect highlights are drawn when their "end" is
+// reached, and activation bars when they are deactivated, so those are listed in end order.
+function parseSequenceLine(line, lineNum, nodeLineMap, model) {
+    var sequence = model.sequence;
+    var stack = sequence.stack;
+    var trimmed = line.trim();
+
+    var messageMatch = trimmed.match(/^([^\s:+-][^:]*?)\s*(<<-->>|<<->>|-->>|->>|-->|->|--x|-x|--\)|-\))\s*([+-]?)\s*([^:]+?)\s*:\s*(.*)$/);
+    var noteMatch = trimmed.match(/^note\s+(?:left of|right of|over)\s+([^:]+?)\s*:\s*(.*)$/i);
+    var frameMatch = trimmed.match(/^(loop|alt|opt|par|par_over|critical|break)\b\s*(.*)$/);
+    var sectionMatch = trimmed.match(/^(else|and|option)\b\s*(.*)$/);
+    var activateMatch = trimmed.match(/^activate\s+(\S+)/);
+    var deactivateMatch = trimmed.match(/^deactivate\s+(\S+)/);
+    var autonumberMatch = trimmed.match(/^autonumber\b(.*)$/);
+
+    if (messageMatch) {
+        addMermaidStatement(model, 'message', messageMatch[5], lineNum);
+        if (sequence.autonumber) sequence.numberedLines.push(lineNum);
+        // Implicit participants first appear as a message target too
+        if (!nodeLineMap[messageMatch[4]]) nodeLineMap[messageMatch[4]] = lineNum;
+        // A->>+B: activates B; B-->>-A: deactivates the sender B
+        if (messageMatch[3] === '+') sequence.openActivations.push({ line: lineNum, actor: messageMatch[4] });
+        else if (messageMatch[3] === '-') endSequenceActivation(sequence, messageMatch[1], lineNum);
+    } else if (noteMatch) {
+        sequence.notes.push({ line: lineNum, actors: noteMatch[1], text: noteMatch[2].trim() });
+    } else if (frameMatch) {
+        stack.push({ kind: frameMatch[1].replace('_over', ''), line: lineNum, title: frameMatch[2].trim(), sections: [] });
+    } else if (/^rect\b/.test(trimmed)) {
+        stack.push({ kind: 'rect', line: lineNum, title: trimmed.substring(4).trim(), sections: [] });
+    } else if (/^box\b/.test(trimmed)) {
+        stack.push({ kind: 'box', line: lineNum, sections: [] });
+    } else if (sectionMatch && stack.length > 0) {
+        stack[stack.length - 1].sections.push({ keyword: sectionMatch[1], line: lineNum, text: sectionMatch[2].trim() });
+    } else if (trimmed === 'end' && stack.length > 0) {
+        var block = stack.pop();
+        block.endLine = lineNum;
+        if (block.kind === 'rect') sequence.rects.push(block);
+        else if (block.kind !== 'box') sequence.frames.push(block);
+    } else if (activateMatch) {
+        sequence.openActivations.push({ line: lineNum, actor: activateMatch[1] });
+    } else if (deactivateMatch) {
+        endSequenceActivation(sequence, deactivateMatch[1], lineNum);
+    } else if (autonumberMatch) {
+        sequence.autonumber = autonumberMatch[1].trim() !== 'off';
+    }
+}
+
+// Close the actor's most recent activation. Activations never closed are not drawn.
+function endSequenceActivation(sequence, actor, lineNum) {
+    var open = sequence.openActivations;
+    for (var i = open.length - 1; i >= 0; i--) {
+        if (open[i].actor !== actor) continue;
+        var activation = open.splice(i, 1)[0];
+        activation.endLine = lineNum;
+        sequence.activations.push(activation);
+        return;
+    }
+}
+
+// Sequence notes, frames (with their else/and/option sections), rect highlights,
+// activation bars and autonumber labels
+function applySequenceBlockMappings(svg, sequence) {
+    svg.querySelectorAll('rect.note').forEach(function(rect, idx) {
+        var note = sequence.notes[idx];
+        if (note) tagMermaidElement(rect.parentElement, note.line, 'data-seq-note', note.text);
+    });
+
+    var frames = sequence.frames;
+    svg.querySelectorAll('polygon.labelBox').forEach(function(labelBox, idx) {
+        var frame = frames[idx];
+        var group = labelBox.parentElement;
+        if (!frame || !group) return;
+        tagMermaidElement(group, frame.line, 'data-seq-frame', frame.title);
+        group.setAttribute('data-seq-frame-kind', frame.kind);
+        group.setAttribute('data-source-end-line', String(frame.endLine));
+
+        // Section titles match by text ("[invalid token]"); dashed separators by order
+        group.querySelectorAll('text.loopText').forEach(function(text) {
+            var title = text.textContent.trim().replace(/^\[(.*)\]$/, '$1');
+            var section = frame.sections.find(function(s) { return s.text && s.text === title; });
+            if (!section) return;
+            tagMermaidElement(text, section.line, 'data-seq-frame-section', section.keyword + ' ' + section.text);
+            text.setAttribute('data-seq-frame-kind', frame.kind);
+        });
+        Array.from(group.querySelectorAll('line.loopLine')).slice(4).forEach(function(separator, sectionIdx) {
+            var section = frame.sections[sectionIdx];
+            if (!section) return;
+            var hitRect = tagMermaidConnector(separator, section.line, 'data-seq-frame-section', (section.keyword + ' ' + section.text).trim());
+            separator.setAttribute('data-seq-frame-kind', frame.kind);
+            if (hitRect) hitRect.setAttribute('data-seq-frame-kind', frame.kind);
+        });
+    });
+
+    // Each rect is moved behind the diagram when drawn, so the DOM holds them in reverse
+    var rects = sequence.rects.slice().reverse();
+    svg.querySelectorAll('rect.rect').forEach(function(rect, idx) {
+        var block = rects[idx];
+        if (!block) return;
+        tagMermaidElement(rect, block.line, 'data-seq-rect', block.title);
+        rect.setAttribute('data-source-end-line', String(block.endLine));
+    });
+
+    var activations = sequence.activations;
+    svg.querySelectorAll('rect[class^="activation"]').forEach(function(rect, idx) {
+        var activation = activations[idx];
+        if (!activation) return;
+        tagMermaidElement(rect, activation.line, 'data-seq-activation', activation.actor);
+        rect.setAttribute('data-source-end-line', String(activation.endLine));
+    });
+
+    var numberedLines = sequence.numberedLines;
+    svg.querySelectorAll('text.sequenceNumber').forEach(function(number, idx) {
+        if (numberedLines[idx]) tagMermaidElement(number, numberedLines[idx], 'data-seq-number', number.textContent.trim());
+    });
+}
+
+// Flowchart statement tokenizer. Handles chains (A --> B --> C), & fan-out (A & B --> C),
+// "-- text -->" / |text| labels, thick, dotted and ~~~ links, A@{ ... } shapes, edge ids
+// (A e1@--> B), ids containing dashes and ids only mentioned in click/class/style lines.
+// Edges are also kept in order in model.flowchart.edges so duplicate pairs
+// resolve by their L-A-B-N counter.
+function parseFlowchartLine(line, lineNum, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
+
+    splitFlowchartStatements(line.replace(/%%.*$/, '')).forEach(function(statement) {
+        statement = statement.trim();
+        if (!statement || /^(graph|flowchart)\b/.test(statement) || /^(end|direction|classDef|linkStyle)\b/.test(statement)) return;
+
+        // subgraph id[Title] / subgraph "Title" / subgraph Title words
+        var subgraphMatch = statement.match(/^subgraph\s+(.*)$/);
+        if (subgraphMatch) {
+            var subgraphSpec = subgraphMatch[1].trim();
+            var subgraphIdMatch = subgraphSpec.match(/^([^\s\[]+)\s*\[(.*)\]\s*$/);
+            var subgraphId = subgraphIdMatch ? subgraphIdMatch[1] : stripMermaidQuotes(subgraphSpec);
+            var subgraphTitle = subgraphIdMatch ? stripMermaidQuotes(subgraphIdMatch[2]) : subgraphId;
+            model.flowchart.subgraphs[subgraphId] = lineNum;
+            model.flowchart.subgraphs[subgraphTitle] = lineNum;
+            return;
+        }
+
+        // click A callback / class A,B cls / style A fill:...
+        var referenceMatch = statement.match(/^(click|class|style)\s+(\S+)/);
+        if (referenceMatch) {
+            referenceMatch[2].split(',').forEach(function(id) {
+                registerFlowchartNode(nodeLineMap, id.trim(), lineNum, false, model);
+            });
+            return;
+        }
+
+        var chain = tokenizeFlowchartChain(statement);
+        chain.groups.forEach(function(group) {
+            group.forEach(function(node) {
+                registerFlowchartNode(nodeLineMap, node.id, lineNum, node.shaped, model);
+            });
+        });
+        chain.links.forEach(function(link, idx) {
+            chain.groups[idx].forEach(function(from) {
+                chain.groups[idx + 1].forEach(function(to) {
+                    var key = from.id + '-' + to.id;
+                    if (!arrowLineMap[key]) {
+                        arrowLineMap[key] = lineNum;
+                        arrowTypeMap[key] = link.arrow;
+                    }
+                    model.flowchart.edges.push({ line: lineNum, from: from.id, to: to.id, arrow: link.arrow, label: link.label, id: link.id });
+                });
+            });
+            if (link.label) addMermaidStatement(model, 'edge-label', link.label, lineNum);
+        });
+    });
+}
+
+// A node maps to its first appearance, or to the first statement that gives it a shape/label
+function registerFlowchartNode(nodeLineMap, id, lineNum, shaped, model) {
+    if (!id) return;
+    var shapedIds = model.flowchart.shaped;
+    if (!nodeLineMap[id] || (shaped && !shapedIds[id])) {
+        if (!shapedIds[id]) nodeLineMap[id] = lineNum;
+    }
+    if (shaped) shapedIds[id] = true;
+}
+
+// Split on ';' outside quotes and brackets
+function splitFlowchartStatements(line) {
+    var statements = [];
+    var current = '';
+    var depth = 0;
+    var inQuotes = false;
+    for (var i = 0; i < line.length; i++) {
+        var ch = line.charAt(i);
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && '[({'.indexOf(ch) !== -1) depth++;
+        else if (!inQuotes && '])}'.indexOf(ch) !== -1) depth = Math.max(0, depth - 1);
+        if (ch === ';' && !inQuotes && depth === 0) {
+            statements.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    statements.push(current);
+    return statements;
+}
+
+// Tokenize "A & B -->|x| C --> D" into node groups and the links between them:
+// { groups: [[{id, shaped}], ...], links: [{arrow, label, id}] }
+function tokenizeFlowchartChain(text) {
+    var pos = 0;
+    var groups = [];
+    var links = [];
+
+    function skipSpace() {
+        while (pos < text.length && /\s/.test(text.charAt(pos))) pos++;
+    }
+
+    // Skip a bracketed shape/label starting at pos; returns true when one was consumed
+    function skipShape() {
+        var open = text.charAt(pos);
+        if (!open || '[({>'.indexOf(open) === -1) return false;
+        var depth = 0;
+        var inQuotes = false;
+        for (var i = pos; i < text.length; i++) {
+            var ch = text.charAt(i);
+            if (ch === '"') inQuotes = !inQuotes;
+            if (inQuotes) continue;
+            if ('[({'.indexOf(ch) !== -1 || (i === pos && ch === '>')) depth++;
+            else if ('])}'.indexOf(ch) !== -1) depth--;
+            if (depth === 0) {
+                pos = i + 1;
+                return true;
+            }
+        }
+        pos = text.length;
+        return true;
     }
+
+    function readNode() {
+        skipSpace();
+        // Dashes are part of an id unless they start a link (A-->B, A-.->B)
+        var idMatch = text.slice(pos).match(/^[^\s\[\](){}>&;:@"|<=~-]+(?:-(?![-.>])[^\s\[\](){}>&;:@"|<=~-]+)*/);
+        if (!idMatch) return null;
+        var node = { id: idMatch[0], shaped: false };
+        pos += idMatch[0].length;
+        if (text.slice(pos, pos + 2) === '@{') {
+            pos++;
+            skipShape();
+            node.shaped = true;
+        } else if (skipShape()) {
+            node.shaped = true;
+        }
+        var classMatch = text.slice(pos).match(/^:::[\w-]+/);
+        if (classMatch) pos += classMatch[0].length;
+        return node;
+    }
+
+    function readGroup() {
+        var group = [];
+        var node = readNode();
+        while (node) {
+            group.push(node);
+            skipSpace();
+            if (text.charAt(pos) !== '&') break;
+            pos++;
+            node = readNode();
+        }
+        return group;
+    }
+
+    function readLink() {
+        skipSpace();
+        var rest = text.slice(pos);
+        var link = { arrow: '', label: '', id: '' };
+        var edgeIdMatch = rest.match(/^([\w-]+)@(?=[<xo]?[-=~.])/);
+        if (edgeIdMatch) {
+            link.id = edgeIdMatch[1];
+            rest = rest.slice(edgeIdMatch[0].length);
+            pos += edgeIdMatch[0].length;
+        }
+        // Inline label form: -- text -->, == text ==>, -. text .->
+        var textLinkMatch = rest.match(/^([<xo]?)(--|==|-\.)\s+(.+?)\s*(-{2,}|={2,}|\.+-)(>|[xo](?=\s|$))?/);
+        var plainLinkMatch = rest.match(/^([<xo]?)(-{2,}|={2,}|-\.+-|~{3,})(>|[xo](?=\s|$))?/);
+        if (textLinkMatch) {
+            // "-- text -->" is drawn as "-->", "-. text .->" as "-.->"
+            link.arrow = textLinkMatch[1] + (textLinkMatch[2] === '-.' ? '-' : '') + textLinkMatch[4] + (textLinkMatch[5] || '');
+            link.label = normalizeFlowchartLabel(textLinkMatch[3]);
+            pos += textLinkMatch[0].length;
+        } else if (plainLinkMatch) {
+            link.arrow = plainLinkMatch[0];
+            pos += plainLinkMatch[0].length;
+        } else {
+            return null;
+        }
+        var pipeLabelMatch = text.slice(pos).match(/^\s*\|([^|]*)\|/);
+        if (pipeLabelMatch) {
+            link.label = normalizeFlowchartLabel(pipeLabelMatch[1]);
+            pos += pipeLabelMatch[0].length;
+        }
+        return link;
+    }
+
+    var group = readGroup();
+    if (group.length === 0) return { groups: [], links: [] };
+    groups.push(group);
+    var link = readLink();
+    while (link) {
+        var next = readGroup();
+        if (next.length === 0) break;
+        links.push(link);
+        groups.push(next);
+        link = readLink();
+    }
+    return { groups: groups, links: links };
+}
+
+// Normalize label: strip quotes, convert <br/> to space, trim
+function normalizeFlowchartLabel(label) {
+    return label.replace(/<br\s*\/?>/g, ' ').replace(/"/g, '').trim().replace(/\s+/g, ' ');
 }
 
-function parseAdditionalPatterns(line, lineNum, nodeLineMap, arrowLineMap, edgeLabelLineMap, diagramType) {
+// Edge for a rendered link id: a user edge id (e1@-->), or L-A-B-N / L_A_B_N where N
+// counts repeated A->B edges
+function findFlowchartEdge(model, domId) {
+    var edges = model.flowchart.edges;
+    var byId = edges.find(function(edge) { return edge.id && edge.id === domId; });
+    if (byId) return byId;
+    var idMatch = domId.match(/^L[-_](.+)[-_](\d+)$/);
+    if (!idMatch) return null;
+    var pairEdges = edges.filter(function(edge) {
+        return idMatch[1] === edge.from + '-' + edge.to || idMatch[1] === edge.from + '_' + edge.to;
+    });
+    return pairEdges[parseInt(idMatch[2], 10)] || pairEdges[0] || null;
+}
+
+function parseAdditionalPatterns(line, lineNum, nodeLineMap, arrowLineMap, model) {
+    var diagramType = model.type;
     // Class diagram relationships
     var classRelPatterns = [
         { regex: /^\s*(\S+)\s*(<\|--|&lt;\|--)\s*(\S+)/, type: 'extends', swap: true, g1: 1, g2: 3 },
@@ -124,11 +617,14 @@ function parseAdditionalPatterns(line, lineNum, nodeLineMap, arrowLineMap, edgeL
         if (m) {
             var class1 = m[p.g1];
             var class2 = m[p.g2];
-            if (!nodeLineMap['class:' + class1]) nodeLineMap['class:' + class1] = lineNum;
-            if (!nodeLineMap['class:' + class2]) nodeLineMap['class:' + class2] = lineNum;
-            var from = p.swap ? class2 : class1;
-            var to = p.swap ? class1 : class2;
-            arrowLineMap['class-rel:' + class1 + '_' + class2] = lineNum + ':' + p.type + ':' + from + ':' + to;
+            if (!model.class.names[class1]) model.class.names[class1] = lineNum;
+            if (!model.class.names[class2]) model.class.names[class2] = lineNum;
+            model.class.relations[class1 + '_' + class2] = {
+                line: lineNum,
+                type: p.type,
+                from: p.swap ? class2 : class1,
+                to: p.swap ? class1 : class2
+            };
             break;
         }
     }
@@ -136,32 +632,47 @@ function parseAdditionalPatterns(line, lineNum, nodeLineMap, arrowLineMap, edgeL
     // Class diagram class name from member definition: ClassName : member
     var classNameMatch = line.match(/^\s*(\S+)\s*:\s*.+$/);
     if (classNameMatch) {
-        if (!nodeLineMap['class:' + classNameMatch[1]]) nodeLineMap['class:' + classNameMatch[1]] = lineNum;
+        if (!model.class.names[classNameMatch[1]]) model.class.names[classNameMatch[1]] = lineNum;
     }
 
     // Class diagram member/method: ClassName : +memberName or ClassName: +methodName()
     if (diagramType === 'class') {
         var classMemberMatch = line.match(/^\s*(\S+)\s*:\s*(.+)$/);
         if (classMemberMatch) {
-            if (!nodeLineMap['class-member-lines']) nodeLineMap['class-member-lines'] = [];
-            nodeLineMap['class-member-lines'].push(lineNum);
+            model.class.memberLines.push(lineNum);
+        }
+    }
+
+    // State diagram composite state: state Parent { ... } / state "Title" as Parent { ... }
+    if (diagramType === 'state') {
+        var compositeMatch = line.match(/^\s*state\s+(?:"[^"]*"\s+as\s+)?([^\s{]+)\s*\{/);
+        if (compositeMatch) {
+            model.state.composites[compositeMatch[1]] = lineNum;
+            if (!model.state.names[compositeMatch[1]]) model.state.names[compositeMatch[1]] = lineNum;
+            model.state.parents.push(compositeMatch[1]);
+        } else if (/^\s*\}/.test(line)) {
+            model.state.parents.pop();
         }
     }
 
     // State diagram transition with optional label
     var stateTransMatch = line.match(/^\s*(\[\*\]|[^\s-]+)\s*-->\s*(\[\*\]|[^\s:]+)(?:\s*:\s*(.+))?/);
-    if (stateTransMatch) {
-        arrowLineMap[stateTransMatch[1] + '->' + stateTransMatch[2]] = lineNum;
+    if (stateTransMatch && (diagramType === 'state' || diagramType === 'unknown')) {
+        var transition = addMermaidStatement(model, 'transition', stateTransMatch[1] + '->' + stateTransMatch[2], lineNum);
+        // [*] is drawn as <Parent>_start / <Parent>_end of the enclosing composite state (root at top level)
+        var parentState = model.state.parents.length > 0 ? model.state.parents[model.state.parents.length - 1] : 'root';
+        transition.from = stateTransMatch[1] === '[*]' ? parentState + '_start' : stateTransMatch[1];
+        transition.to = stateTransMatch[2] === '[*]' ? parentState + '_end' : stateTransMatch[2];
         // Register transition label
         if (stateTransMatch[3]) {
-            edgeLabelLineMap['state:' + stateTransMatch[3].trim()] = lineNum;
+            addMermaidStatement(model, 'edge-label', stateTransMatch[3], lineNum);
         }
         // Also register state names
-        if (stateTransMatch[1] !== '[*]' && !nodeLineMap['state:' + stateTransMatch[1]]) {
-            nodeLineMap['state:' + stateTransMatch[1]] = lineNum;
+        if (stateTransMatch[1] !== '[*]' && !model.state.names[stateTransMatch[1]]) {
+            model.state.names[stateTransMatch[1]] = lineNum;
         }
-        if (stateTransMatch[2] !== '[*]' && !nodeLineMap['state:' + stateTransMatch[2]]) {
-            nodeLineMap['state:' + stateTransMatch[2]] = lineNum;
+        if (stateTransMatch[2] !== '[*]' && !model.state.names[stateTransMatch[2]]) {
+            model.state.names[stateTransMatch[2]] = lineNum;
         }
     }
     // ER diagram relationship: ENTITY1 ||--o{ ENTITY2 : label
@@ -169,18 +680,16 @@ function parseAdditionalPatterns(line, lineNum, nodeLineMap, arrowLineMap, edgeL
     if (erRelMatch) {
         var erKey = erRelMatch[1] + '-' + erRelMatch[4];
         arrowLineMap[erKey] = lineNum;
-        // Map the label to edgeLabelLineMap
-        var erLabel = erRelMatch[5].trim();
-        edgeLabelLineMap['er:' + erLabel] = lineNum;
+        addMermaidStatement(model, 'edge-label', erRelMatch[5], lineNum);
         // Map entity names from relationship (for entities without explicit definition)
-        if (!nodeLineMap['errel:' + erRelMatch[1]]) nodeLineMap['errel:' + erRelMatch[1]] = lineNum;
-        if (!nodeLineMap['errel:' + erRelMatch[4]]) nodeLineMap['errel:' + erRelMatch[4]] = lineNum;
+        if (!model.er.relationEntities[erRelMatch[1]]) model.er.relationEntities[erRelMatch[1]] = lineNum;
+        if (!model.er.relationEntities[erRelMatch[4]]) model.er.relationEntities[erRelMatch[4]] = lineNum;
     }
 
     // ER diagram entity definition: ENTITY {
     var erEntityMatch = line.match(/^\s*([^\s\{]+)\s*\{/);
-    if (erEntityMatch && !nodeLineMap['entity:' + erEntityMatch[1]]) {
-        nodeLineMap['entity:' + erEntityMatch[1]] = lineNum;
+    if (erEntityMatch && !model.er.entities[erEntityMatch[1]]) {
+        model.er.entities[erEntityMatch[1]] = lineNum;
     }
 
     // ER diagram attribute: type name [key] ["comment"] (inside entity block)
@@ -197,8 +706,7 @@ function parseAdditionalPatterns(line, lineNum, nodeLineMap, arrowLineMap, edgeL
             var erAttrMatch = line.match(/^\s+(\S+)\s+(\S+)(?:\s+(\S+))?(?:\s+"([^"]*)")?/);
             if (erAttrMatch) {
                 // Store attribute line numbers in order (index-based)
-                if (!nodeLineMap['er-attr-lines']) nodeLineMap['er-attr-lines'] = [];
-                nodeLineMap['er-attr-lines'].push(lineNum);
+                model.er.attributeLines.push(lineNum);
             }
         }
     }
@@ -212,80 +720,333 @@ function parseAdditionalPatterns(line, lineNum, nodeLineMap, arrowLineMap, edgeL
             // Exclude keywords
             if (taskName !== 'section' && taskName !== 'title' && taskName !== 'dateFormat' && 
                 taskName !== 'axisFormat' && taskName !== 'excludes') {
-                if (!nodeLineMap['gantt-task-lines']) nodeLineMap['gantt-task-lines'] = [];
-                nodeLineMap['gantt-task-lines'].push(lineNum);
+                model.gantt.taskLines.push(lineNum);
             }
         }
     }
 
     // Gantt section: section SectionName
     var ganttSectionMatch = line.match(/^\s*section\s+(.+)$/);
-    if (ganttSectionMatch) {
-        nodeLineMap['gantt-section:' + ganttSectionMatch[1].trim()] = lineNum;
+    if (ganttSectionMatch && diagramType === 'gantt') {
+        addMermaidStatement(model, 'gantt-section', ganttSectionMatch[1], lineNum);
     }
 
     // Gantt title: title TitleText
     var ganttTitleMatch = line.match(/^\s*title\s+(.+)$/);
-    if (ganttTitleMatch) {
-        nodeLineMap['gantt-title:' + ganttTitleMatch[1].trim()] = lineNum;
+    if (ganttTitleMatch && diagramType === 'gantt') {
+        addMermaidStatement(model, 'title', ganttTitleMatch[1], lineNum);
     }
 
     // Pie chart slice: "Label" : value (index-based for duplicate labels)
     if (diagramType === 'pie') {
         var pieSliceMatch = line.match(/^\s*"([^"]+)"\s*:\s*(\d+)/);
         if (pieSliceMatch) {
-            if (!nodeLineMap['pie-slice-lines']) nodeLineMap['pie-slice-lines'] = [];
-            nodeLineMap['pie-slice-lines'].push(lineNum);
+            model.pie.sliceLines.push(lineNum);
         }
     }
 
     // Pie chart title: pie title TitleText
     var pieTitleMatch = line.match(/^\s*pie\s+title\s+(.+)$/);
     if (pieTitleMatch) {
-        nodeLineMap['pie-title:' + pieTitleMatch[1].trim()] = lineNum;
+        addMermaidStatement(model, 'title', pieTitleMatch[1], lineNum);
     }
 
     // Git graph commit: commit or commit id: "label"
     var gitCommitMatch = line.match(/^\s*commit(\s+id:\s*"([^"]+)")?/);
     if (gitCommitMatch) {
-        if (!nodeLineMap['git-commit-count']) nodeLineMap['git-commit-count'] = 0;
-        nodeLineMap['git-commit:' + nodeLineMap['git-commit-count']] = lineNum;
-        if (gitCommitMatch[2]) nodeLineMap['git-label:' + gitCommitMatch[2]] = lineNum;
-        nodeLineMap['git-commit-count']++;
+        model.git.commitLines.push(lineNum);
+        if (gitCommitMatch[2]) addMermaidStatement(model, 'git-label', gitCommitMatch[2], lineNum);
     }
 
     // Git graph branch: branch BranchName
     var gitBranchMatch = line.match(/^\s*branch\s+(\S+)/);
     if (gitBranchMatch) {
-        nodeLineMap['git-branch:' + gitBranchMatch[1]] = lineNum;
+        addMermaidStatement(model, 'git-branch', gitBranchMatch[1], lineNum);
     }
 
     // Git graph merge: merge BranchName id: "label" (also creates a commit circle)
     var gitMergeMatch = line.match(/^\s*merge\s+(\S+)(?:\s+id:\s*"([^"]+)")?/);
     if (gitMergeMatch) {
-        if (!nodeLineMap['git-commit-count']) nodeLineMap['git-commit-count'] = 0;
-        nodeLineMap['git-commit:' + nodeLineMap['git-commit-count']] = lineNum;
-        if (gitMergeMatch[2]) nodeLineMap['git-label:' + gitMergeMatch[2]] = lineNum;
-        nodeLineMap['git-commit-count']++;
+        model.git.commitLines.push(lineNum);
+        if (gitMergeMatch[2]) addMermaidStatement(model, 'git-label', gitMergeMatch[2], lineNum);
     }
 
     // Mindmap: collect line numbers in order (index-based for duplicate labels)
     if (diagramType === 'mindmap') {
-        if (!nodeLineMap['mindmap-lines']) nodeLineMap['mindmap-lines'] = [];
         // root node
         var mindmapRootMatch = line.match(/^\s*root\s*\(\((.+)\)\)/);
         if (mindmapRootMatch) {
-            nodeLineMap['mindmap-lines'].push(lineNum);
+            model.mindmap.lines.push(lineNum);
         }
         // leaf nodes (indented text)
         var mindmapNodeMatch = line.match(/^\s{2,}(\S+)\s*$/);
         if (mindmapNodeMatch && !line.includes('root')) {
-            nodeLineMap['mindmap-lines'].push(lineNum);
+            model.mindmap.lines.push(lineNum);
+        }
+    }
+
+    // Title line shared by journey, timeline, quadrant and XY charts (matched to the rendered title by text)
+    var diagramTitleMatch = line.match(/^\s*title\s+(.+)$/);
+    if (diagramTitleMatch && ['journey', 'timeline', 'quadrant', 'xychart'].indexOf(diagramType) !== -1) {
+        model.title = { line: lineNum, text: stripMermaidQuotes(diagramTitleMatch[1]) };
+    }
+
+    // User journey: sections and tasks in order (index-based, names repeat across sections)
+    if (diagramType === 'journey') {
+        var journeySectionMatch = line.match(/^\s*section\s+(.+)$/);
+        var journeyTaskMatch = line.match(/^\s*([^:]+?)\s*:\s*(\d+)\s*(?::\s*(.*))?$/);
+        if (journeySectionMatch) {
+            model.journey.sections.push({ line: lineNum, name: journeySectionMatch[1].trim() });
+        } else if (journeyTaskMatch && !diagramTitleMatch) {
+            model.journey.tasks.push({
+                line: lineNum,
+                name: journeyTaskMatch[1].trim(),
+                score: journeyTaskMatch[2],
+                actors: journeyTaskMatch[3] ? journeyTaskMatch[3].split(',').map(function(a) { return a.trim(); }).filter(Boolean) : []
+            });
+        }
+    }
+
+    // Timeline: items in rendering order - section, then each period followed by its events.
+    // "period : event : event" lines; a line starting with ':' continues the previous period.
+    if (diagramType === 'timeline') {
+        var timelineItems = model.timeline.items;
+        var timelineSectionMatch = line.match(/^\s*section\s+(.+)$/);
+        if (timelineSectionMatch) {
+            timelineItems.push({ kind: 'section', line: lineNum, text: timelineSectionMatch[1].trim() });
+        } else if (!diagramTitleMatch && line.indexOf(':') !== -1) {
+            var parts = line.split(':').map(function(part) { return part.trim(); });
+            var period = parts[0];
+            if (period) {
+                timelineItems.push({ kind: 'period', line: lineNum, text: period });
+                model.timeline.currentPeriod = period;
+            }
+            for (var ei = 1; ei < parts.length; ei++) {
+                if (!parts[ei]) continue;
+                timelineItems.push({ kind: 'event', line: lineNum, text: parts[ei], period: model.timeline.currentPeriod });
+            }
+        } else if (!diagramTitleMatch && line.trim() && line.trim().indexOf('timeline') !== 0) {
+            // Period without events
+            timelineItems.push({ kind: 'period', line: lineNum, text: line.trim() });
+            model.timeline.currentPeriod = line.trim();
+        }
+    }
+
+    // Quadrant chart: quadrant and axis labels by text, points in order (index-based)
+    if (diagramType === 'quadrant') {
+        var quadrantMatch = line.match(/^\s*quadrant-([1-4])\s+(.+)$/);
+        var quadrantAxisMatch = line.match(/^\s*([xy])-axis\s+(.+?)(?:\s*-->\s*(.+))?$/);
+        var quadrantPointMatch = line.match(/^\s*(.+?)\s*(?::::\w+)?\s*:\s*\[\s*([\d.]+)\s*,\s*([\d.]+)\s*\]/);
+        if (quadrantMatch) {
+            model.quadrant.quadrants[parseInt(quadrantMatch[1], 10) - 1] = { line: lineNum, text: stripMermaidQuotes(quadrantMatch[2]) };
+        } else if (quadrantAxisMatch) {
+            model.quadrant.labels[stripMermaidQuotes(quadrantAxisMatch[2])] = { line: lineNum, axis: quadrantAxisMatch[1] };
+            if (quadrantAxisMatch[3]) {
+                model.quadrant.labels[stripMermaidQuotes(quadrantAxisMatch[3])] = { line: lineNum, axis: quadrantAxisMatch[1] };
+            }
+        } else if (quadrantPointMatch) {
+            model.quadrant.points.push({
+                line: lineNum,
+                name: stripMermaidQuotes(quadrantPointMatch[1]),
+                x: quadrantPointMatch[2],
+                y: quadrantPointMatch[3]
+            });
+        }
+    }
+
+    // XY chart: axes and plots (bar/line) in order; rendered groups are numbered by plot index
+    if (diagramType === 'xychart') {
+        if (/^\s*xychart(-beta)?\s+horizontal/i.test(line)) model.xychart.horizontal = true;
+        var xyAxisMatch = line.match(/^\s*([xy])-axis\b\s*(.*)$/);
+        var xyPlotMatch = line.match(/^\s*(bar|line)\b\s*(?:("[^"]*"|[^\[]+?)\s*)?\[(.*)\]/);
+        if (xyAxisMatch) {
+            var axisRest = xyAxisMatch[2];
+            var categoriesMatch = axisRest.match(/\[(.*)\]/);
+            var axisTitleMatch = axisRest.match(/^("[^"]*"|[^\s\[]+)/);
+            model.xychart[xyAxisMatch[1] + 'Axis'] = {
+                line: lineNum,
+                title: axisTitleMatch && !/^-?[\d.]+$/.test(axisTitleMatch[1]) ? stripMermaidQuotes(axisTitleMatch[1]) : '',
+                categories: categoriesMatch ? splitMermaidList(categoriesMatch[1]) : []
+            };
+        } else if (xyPlotMatch) {
+            model.xychart.plots.push({
+                line: lineNum,
+                type: xyPlotMatch[1],
+                title: xyPlotMatch[2] ? stripMermaidQuotes(xyPlotMatch[2]) : '',
+                values: splitMermaidList(xyPlotMatch[3])
+            });
+        }
+    }
+
+    // Sankey: one flow per CSV line (source,target,value); nodes in order of first appearance
+    if (diagramType === 'sankey') {
+        var sankeyFields = splitMermaidList(line);
+        if (sankeyFields.length === 3 && sankeyFields[0] && sankeyFields[1]) {
+            model.sankey.flows.push({ line: lineNum, source: sankeyFields[0], target: sankeyFields[1], value: sankeyFields[2] });
+            [sankeyFields[0], sankeyFields[1]].forEach(function(name) {
+                var known = model.sankey.nodes.some(function(node) { return node.name === name; });
+                if (!known) model.sankey.nodes.push({ line: lineNum, name: name });
+            });
+        }
+    }
+
+    // C4: elements and boundaries matched by label text, Rel* statements in order
+    if (diagramType === 'c4') {
+        var c4RelMatch = line.match(/^\s*(?:Bi)?Rel(?:_\w+)?\s*\((.*)\)\s*$/);
+        var c4ElementMatch = line.match(/^\s*(Person|System|Container|Component|Deployment_Node|Node|Boundary|Enterprise_Boundary|System_Boundary|Container_Boundary)(?:Db|Queue)?(?:_Ext)?(?:_[LR])?\s*\((.*?)\)\s*\{?\s*$/);
+        if (c4RelMatch) {
+            var relArgs = splitMermaidList(c4RelMatch[1]);
+            model.c4.rels.push({ line: lineNum, from: relArgs[0], to: relArgs[1] || '', label: relArgs[2] || '' });
+        } else if (c4ElementMatch) {
+            var elementArgs = splitMermaidList(c4ElementMatch[2]);
+            var c4Kind = c4ElementMatch[1].indexOf('Boundary') !== -1 ? 'boundary'
+                : c4ElementMatch[1] === 'Node' ? 'deployment node'
+                : c4ElementMatch[1].toLowerCase().replace('_', ' ');
+            model.c4.elements.push({ line: lineNum, kind: c4Kind, alias: elementArgs[0], label: elementArgs[1] || elementArgs[0] });
+        }
+    }
+
+    // Requirement diagram: requirement/element blocks (with their id: field) and relationships in order
+    if (diagramType === 'requirement') {
+        var requirement = model.requirement;
+        var reqBlockMatch = line.match(/^\s*(requirement|functionalRequirement|interfaceRequirement|performanceRequirement|physicalRequirement|designConstraint|element)\s+("[^"]*"|[^\s{]+)\s*\{/);
+        var reqRelMatch = line.match(/^\s*(\S+)\s*-\s*(contains|copies|derives|satisfies|verifies|refines|traces)\s*->\s*(\S+)\s*$/);
+        var reqRelBackMatch = line.match(/^\s*(\S+)\s*<-\s*(contains|copies|derives|satisfies|verifies|refines|traces)\s*-\s*(\S+)\s*$/);
+        var reqIdMatch = line.match(/^\s*id\s*:\s*(.+)$/);
+        if (reqBlockMatch) {
+            requirement.current = {
+                line: lineNum,
+                kind: reqBlockMatch[1] === 'element' ? 'element' : 'requirement',
+                name: stripMermaidQuotes(reqBlockMatch[2]),
+                id: ''
+            };
+            requirement.nodes.push(requirement.current);
+        } else if (reqIdMatch && requirement.current) {
+            requirement.current.id = stripMermaidQuotes(reqIdMatch[1]);
+        } else if (/^\s*\}/.test(line)) {
+            requirement.current = null;
+        } else if (reqRelMatch) {
+            requirement.rels.push({ line: lineNum, from: reqRelMatch[1], type: reqRelMatch[2], to: reqRelMatch[3] });
+        } else if (reqRelBackMatch) {
+            requirement.rels.push({ line: lineNum, from: reqRelBackMatch[3], type: reqRelBackMatch[2], to: reqRelBackMatch[1] });
+        }
+    }
+
+    // Architecture: group/service/junction declarations by id, edges in order
+    if (diagramType === 'architecture') {
+        var archElementMatch = line.match(/^\s*(group|service|junction)\s+([\w-]+)(?:\([^)]*\))?(?:\[([^\]]*)\])?/);
+        var archEdgeMatch = line.match(/^\s*([\w-]+)(?:\{group\})?\s*:\s*[LRTB]\s*<?-->?\s*[LRTB]\s*:\s*([\w-]+)/);
+        if (archElementMatch) {
+            model.architecture.elements.push({
+                line: lineNum,
+                kind: archElementMatch[1],
+                id: archElementMatch[2],
+                label: archElementMatch[3] || archElementMatch[2]
+            });
+        } else if (archEdgeMatch) {
+            model.architecture.edges.push({ line: lineNum, from: archEdgeMatch[1], to: archEdgeMatch[2] });
+        }
+    }
+
+    // Block diagram: several blocks per line, so every id maps to the first line it appears on
+    if (diagramType === 'block') {
+        var blockLine = line.replace(/%%.*$/, '');
+        // Layout and styling statements name no new blocks
+        if (/^\s*(block-beta|block|columns\b|style\b|classDef\b|class\b)/.test(blockLine) && !/^\s*block:/.test(blockLine)) blockLine = '';
+        // Drop labels so their text is not read as ids
+        var blockIds = blockLine
+            .replace(/"[^"]*"/g, '')
+            .replace(/\[[^\]]*\]|\([^)]*\)|\{[^}]*\}|>[^\]]*\]/g, '')
+            .replace(/--+>?|==+>?|-\.+->?/g, ' ')
+            .replace(/\|[^|]*\|/g, ' ')
+            .replace(/^\s*block:/, '')
+            .split(/\s+/);
+        var edgeIds = [];
+        blockIds.forEach(function(token) {
+            var idMatch = token.match(/^[A-Za-z_][\w-]*/);
+            var id = idMatch ? idMatch[0] : '';
+            if (!id || /^(end|space|block)$/.test(id)) return;
+            if (!model.block.nodes[id]) model.block.nodes[id] = lineNum;
+            edgeIds.push(id);
+        });
+        if (/--|==|-\./.test(blockLine.replace(/"[^"]*"/g, '')) && edgeIds.length >= 2) {
+            for (var bi = 0; bi + 1 < edgeIds.length; bi++) {
+                model.block.edges.push({ line: lineNum, from: edgeIds[bi], to: edgeIds[bi + 1] });
+            }
+        }
+    }
+}
+
+// "Title" -> Title
+function stripMermaidQuotes(text) {
+    text = text.trim();
+    var quoted = text.match(/^"(.*)"$/);
+    return quoted ? quoted[1] : text;
+}
+
+// Comma-separated values; commas inside double quotes (sankey CSV, xychart categories) are kept
+function splitMermaidList(text) {
+    var fields = [];
+    var current = '';
+    var inQuotes = false;
+    for (var i = 0; i < text.length; i++) {
+        var ch = text.charAt(i);
+        if (ch === '"') {
+            // "" is an escaped quote inside a quoted CSV field
+            if (inQuotes && text.charAt(i + 1) === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (ch === ',' && !inQuotes) {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
         }
     }
+    fields.push(current.trim());
+    return fields;
+}
+
+// Per-diagram-type aligners: each maps the rendered SVG of one diagram type back to
+// source lines using Mermaid's generated ids and rendering order. All share the signature
+// (svg, nodeLineMap, arrowLineMap, arrowTypeMap, model).
+var mermaidSvgMappers = {
+    flowchart: [applyNodeGroupMappings, applyFlowchartLinkMappings],
+    sequence: [applyNodeGroupMappings, applySequenceMappings],
+    class: [applyNodeGroupMappings, applyClassMappings],
+    state: [applyNodeGroupMappings, applyStateMappings],
+    er: [applyNodeGroupMappings, applyErMappings],
+    gantt: [applyGanttMappings],
+    pie: [applyPieMappings],
+    git: [applyGitMappings],
+    mindmap: [applyNodeGroupMappings, applyMindmapMappings],
+    journey: [applyJourneyMappings],
+    timeline: [applyTimelineMappings],
+    quadrant: [applyQuadrantMappings],
+    xychart: [applyXyChartMappings],
+    sankey: [applySankeyMappings],
+    c4: [applyC4Mappings],
+    requirement: [applyRequirementMappings],
+    architecture: [applyArchitectureMappings],
+    block: [applyBlockMappings]
+};
+
+function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
+    // Unknown types try every classic aligner
+    var mappers = mermaidSvgMappers[model.type] || [
+        applyNodeGroupMappings, applySequenceMappings, applyFlowchartLinkMappings, applyClassMappings,
+        applyStateMappings, applyErMappings, applyGanttMappings, applyPieMappings, applyGitMappings, applyMindmapMappings
+    ];
+    mappers.forEach(function(mapper) {
+        mapper(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model);
+    });
 }
 
-function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edgeLabelLineMap, arrowTypeMap) {
+// Node groups shared by flowchart, class, state, ER and sequence diagrams
+function applyNodeGroupMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
     // Mark flowchart nodes, sequence actors, class diagram nodes, etc.
     svg.querySelectorAll('g.node, g.cluster, g.edgeLabel, g[id^="state-"], g[id^="root-"], g.note, g.activation').forEach(function(node) {
         node.style.cursor = 'pointer';
@@ -293,20 +1054,25 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
 
         var nodeId = node.id || '';
 
-        // Flowchart node: flowchart-NodeName-0
-        var flowMatch = nodeId.match(/^flowchart-([^-]+)-/);
+        // Flowchart node: flowchart-NodeName-0 (the name may contain dashes)
+        var flowMatch = nodeId.match(/^flowchart-(.+)-\d+$/);
         if (flowMatch && nodeLineMap[flowMatch[1]]) {
             node.setAttribute('data-source-line', String(nodeLineMap[flowMatch[1]]));
             return;
         }
 
-        // Flowchart subgraph (cluster)
+        // Flowchart subgraph (cluster): by id, then by title
         if (node.classList && node.classList.contains('cluster')) {
+            var subgraphs = model.flowchart.subgraphs;
+            if (subgraphs[nodeId]) {
+                node.setAttribute('data-source-line', String(subgraphs[nodeId]));
+                return;
+            }
             var clusterLabel = node.querySelector('.nodeLabel, text');
             if (clusterLabel) {
-                var subgraphName = clusterLabel.textContent.trim();
-                if (nodeLineMap['subgraph:' + subgraphName]) {
-                    node.setAttribute('data-source-line', String(nodeLineMap['subgraph:' + subgraphName]));
+                var subgraphName = normalizeMermaidLabel(clusterLabel.textContent);
+                if (subgraphs[subgraphName]) {
+                    node.setAttribute('data-source-line', String(subgraphs[subgraphName]));
                     return;
                 }
             }
@@ -316,8 +1082,8 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
         var classMatch = nodeId.match(/^classId-([^-]+)-/);
         if (classMatch) {
             var className = classMatch[1];
-            if (nodeLineMap['class:' + className]) {
-                node.setAttribute('data-source-line', String(nodeLineMap['class:' + className]));
+            if (model.class.names[className]) {
+                node.setAttribute('data-source-line', String(model.class.names[className]));
             }
             return;
         }
@@ -325,14 +1091,13 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
         var stateMatch = nodeId.match(/^state-([^-]+)-/);
         if (stateMatch) {
             var stateName = stateMatch[1];
-            if (stateName === 'root_start') {
-                node.setAttribute('data-state-node', '[*] (start)');
-            } else if (stateName === 'root_end') {
-                node.setAttribute('data-state-node', '[*] (end)');
+            var pseudoMatch = stateName.match(/^(.+)_(start|end)$/);
+            if (pseudoMatch && (pseudoMatch[1] === 'root' || model.state.composites[pseudoMatch[1]])) {
+                node.setAttribute('data-state-node', '[*] (' + pseudoMatch[2] + (pseudoMatch[1] === 'root' ? '' : ' of ' + pseudoMatch[1]) + ')');
             } else {
                 node.setAttribute('data-state-node', stateName);
-                if (nodeLineMap['state:' + stateName]) {
-                    node.setAttribute('data-source-line', String(nodeLineMap['state:' + stateName]));
+                if (model.state.names[stateName]) {
+                    node.setAttribute('data-source-line', String(model.state.names[stateName]));
                 }
             }
             return;
@@ -340,11 +1105,19 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
 
         // Flowchart/State/ER diagram edge label
         if (node.classList.contains('edgeLabel')) {
-            var labelText = node.textContent.trim();
-            // Try direct lookup (flowchart) first, then state/ER diagram prefix
-            var sourceLine = edgeLabelLineMap[labelText] || edgeLabelLineMap['state:' + labelText] || edgeLabelLineMap['er:' + labelText];
-            if (sourceLine) {
-                node.setAttribute('data-source-line', String(sourceLine));
+            // Newer Mermaid links the label to its edge id; repeated label texts need it
+            var labelOwner = node.querySelector('[data-id]');
+            var labelEdge = labelOwner ? findFlowchartEdge(model, labelOwner.getAttribute('data-id')) : null;
+            if (labelEdge) {
+                node.setAttribute('data-source-line', String(labelEdge.line));
+                node.setAttribute('data-flowchart-edge', labelEdge.from + ' ' + labelEdge.arrow + ' ' + labelEdge.to);
+                setMermaidEdgeEnds([node], labelEdge.from, labelEdge.to);
+                return;
+            }
+            // Otherwise labels are rendered in statement order; repeated texts take the next statement
+            var labelStatement = takeMermaidStatement(model, 'edge-label', node.textContent);
+            if (labelStatement) {
+                node.setAttribute('data-source-line', String(labelStatement.line));
             }
             return;
         }
@@ -361,7 +1134,10 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
             return;
         }
     });
+}
 
+// Sequence diagram: bottom actors, then messages and arrows in message order
+function applySequenceMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
     // Sequence diagram: mark bottom actors
     svg.querySelectorAll('rect.actor-bottom').forEach(function(rect) {
         var parent = rect.parentElement;
@@ -378,19 +1154,19 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
         }
     });
 
-    // Sequence messages
-    var msgIdx = 0;
-    svg.querySelectorAll('text.messageText').forEach(function(msg) {
+    // Sequence messages: text and arrow are drawn per message in statement order
+    var messages = model.statements.filter(function(statement) { return statement.kind === 'message'; });
+    svg.querySelectorAll('text.messageText').forEach(function(msg, msgIdx) {
         msg.style.cursor = 'pointer';
         msg.setAttribute('data-mermaid-node', 'true');
-        if (msgIdx < messageLineNums.length) {
-            msg.setAttribute('data-source-line', String(messageLineNums[msgIdx]));
+        if (messages[msgIdx]) {
+            messages[msgIdx].used = true;
+            msg.setAttribute('data-source-line', String(messages[msgIdx].line));
         }
-        msgIdx++;
     });
 
-    // Sequence diagram arrows (message lines) with hit areas
-    svg.querySelectorAll('line.messageLine0, line.messageLine1').forEach(function(line) {
+    // Sequence diagram arrows (message lines, self-messages are paths) with hit areas
+    svg.querySelectorAll('line.messageLine0, line.messageLine1, path.messageLine0, path.messageLine1').forEach(function(line, arrowIdx) {
         // Get message text from previous sibling
         var msgText = '';
         var prev = line.previousElementSibling;
@@ -398,30 +1174,11 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
             msgText = prev.textContent.trim();
         }
 
-        // Look up line number by message text
-        var sourceLine = edgeLabelLineMap['seq:' + msgText] ? String(edgeLabelLineMap['seq:' + msgText]) : null;
+        // Arrows are drawn in message order, so repeated texts keep their own lines
+        var sourceLine = messages[arrowIdx] ? String(messages[arrowIdx].line) : null;
 
         // Create hit area for easier clicking
-        var bbox = line.getBBox();
-        var minSize = 16;
-        var rectW = Math.max(bbox.width, minSize);
-        var rectH = Math.max(bbox.height, minSize);
-        var rectX = bbox.x - (rectW - bbox.width) / 2;
-        var rectY = bbox.y - (rectH - bbox.height) / 2;
-
-        var hitRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        hitRect.setAttribute('x', rectX);
-        hitRect.setAttribute('y', rectY);
-        hitRect.setAttribute('width', rectW);
-        hitRect.setAttribute('height', rectH);
-        hitRect.setAttribute('fill', 'transparent');
-        hitRect.style.cursor = 'pointer';
-        hitRect.setAttribute('data-mermaid-node', 'true');
-        hitRect.setAttribute('data-seq-arrow-text', msgText);
-        if (sourceLine) {
-            hitRect.setAttribute('data-source-line', sourceLine);
-        }
-        line.parentNode.insertBefore(hitRect, line.nextSibling);
+        createHitArea(line, sourceLine, 'data-seq-arrow-text', msgText);
 
         line.style.cursor = 'pointer';
         line.setAttribute('data-mermaid-node', 'true');
@@ -431,13 +1188,22 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
 
     });
 
+    applySequenceBlockMappings(svg, model.sequence);
+}
+
+// Flowchart links: resolved through their L-A-B-N / edge ids
+function applyFlowchartLinkMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
     // Flowchart arrows with hit areas
     svg.querySelectorAll('path.flowchart-link').forEach(function(path) {
         var pathId = path.id || '';
+        var edge = findFlowchartEdge(model, pathId);
         var linkMatch = pathId.match(/^L[-_]([^-_]+)[-_]([^-_]+)[-_]/);
         var sourceLine = null;
         var arrowType = '-->';
-        if (linkMatch) {
+        if (edge) {
+            sourceLine = String(edge.line);
+            arrowType = edge.arrow;
+        } else if (linkMatch) {
             var key = linkMatch[1] + '-' + linkMatch[2];
             if (arrowLineMap[key]) {
                 sourceLine = String(arrowLineMap[key]);
@@ -451,27 +1217,40 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
         if (hitRect) hitRect.setAttribute('data-arrow-type', arrowType);
         path.setAttribute('data-mermaid-node', 'true');
         path.setAttribute('data-arrow-type', arrowType);
+        if (edge) {
+            var edgeText = edge.from + ' ' + arrowType + ' ' + edge.to;
+            path.setAttribute('data-flowchart-edge', edgeText);
+            if (hitRect) hitRect.setAttribute('data-flowchart-edge', edgeText);
+            setMermaidEdgeEnds([path, hitRect], edge.from, edge.to);
+        } else if (linkMatch) {
+            setMermaidEdgeEnds([path, hitRect], linkMatch[1], linkMatch[2]);
+        }
         if (sourceLine) path.setAttribute('data-source-line', sourceLine);
     });
+}
 
+// Class diagram: class names, members and relations
+function applyClassMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
     // Class diagram class names
     svg.querySelectorAll('g.label-group g.label').forEach(function(label) {
-        var className = label.textContent.trim();
-        if (nodeLineMap['class:' + className]) {
+        // Generic classes render Animal~T~ as Animal<T>; the node id keeps the plain name
+        var classNode = label.closest('g[id^="classId-"]');
+        var classIdMatch = classNode ? classNode.id.match(/^classId-(.+)-\d+$/) : null;
+        var className = classIdMatch ? classIdMatch[1] : normalizeMermaidLabel(label.textContent);
+        if (model.class.names[className]) {
             label.style.cursor = 'pointer';
             label.setAttribute('data-mermaid-node', 'true');
             label.setAttribute('data-class-name', className);
-            label.setAttribute('data-source-line', String(nodeLineMap['class:' + className]));
+            label.setAttribute('data-source-line', String(model.class.names[className]));
         }
     });
 
     // Class diagram members and methods (index-based for duplicate member names)
-    var classMemberLines = nodeLineMap['class-member-lines'] || [];
+    var classMemberLines = model.class.memberLines;
     svg.querySelectorAll('g.members-group g.label, g.methods-group g.label').forEach(function(label, idx) {
         label.style.cursor = 'pointer';
         label.setAttribute('data-mermaid-node', 'true');
         label.setAttribute('data-class-member', 'true');
-        var memberText = label.textContent.trim();
         if (classMemberLines[idx]) {
             label.setAttribute('data-source-line', String(classMemberLines[idx]));
         }
@@ -481,17 +1260,12 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
     svg.querySelectorAll('path.relation').forEach(function(path) {
         var pathId = path.id || '';
         var relMatch = pathId.match(/^id_([^_]+)_([^_]+)_\d+$/);
-        var relKey = relMatch ? 'class-rel:' + relMatch[1] + '_' + relMatch[2] : '';
-        var relInfo = arrowLineMap[relKey];
+        var relInfo = relMatch ? model.class.relations[relMatch[1] + '_' + relMatch[2]] : null;
         var sourceLine = null;
         var relText = '';
 
         if (relInfo) {
-            var parts = relInfo.split(':');
-            sourceLine = parts[0];
-            var relType = parts[1];
-            var fromClass = parts[2];
-            var toClass = parts[3];
+            sourceLine = relInfo.line;
             var typeLabels = {
                 'extends': ' extends ',
                 'composition': ' *-- ',
@@ -500,7 +1274,7 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
                 'dependency': ' ..> ',
                 'realization': ' implements '
             };
-            relText = fromClass + (typeLabels[relType] || ' -- ') + toClass;
+            relText = relInfo.from + (typeLabels[relInfo.type] || ' -- ') + relInfo.to;
         }
 
         // Create hit area including marker
@@ -537,59 +1311,50 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
         var maxX = Math.max(startPoint.x, endPoint.x, tipX);
         var minY = Math.min(startPoint.y, endPoint.y, tipY);
         var maxY = Math.max(startPoint.y, endPoint.y, tipY);
-        var rectWidth = maxX - minX;
-        var rectX = minX;
-        if (rectWidth < 16) {
-            rectX = minX - (16 - rectWidth) / 2;
-            rectWidth = 16;
-        }
-
-        var hitRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        hitRect.setAttribute('x', rectX);
-        hitRect.setAttribute('y', minY);
-        hitRect.setAttribute('width', rectWidth);
-        hitRect.setAttribute('height', maxY - minY);
-        hitRect.setAttribute('fill', 'transparent');
-        hitRect.style.cursor = 'pointer';
-        hitRect.setAttribute('data-mermaid-node', 'true');
-        hitRect.setAttribute('data-class-relation', relText);
-        if (sourceLine) hitRect.setAttribute('data-source-line', String(sourceLine));
-        path.parentNode.insertBefore(hitRect, path.nextSibling);
+        // The covered box includes the marker tip
+        createHitArea(path, sourceLine ? String(sourceLine) : null, 'data-class-relation', relText,
+            { x: minX, y: minY, width: maxX - minX, height: maxY - minY });
 
         path.style.cursor = 'pointer';
         path.setAttribute('data-mermaid-node', 'true');
         path.setAttribute('data-class-relation', relText);
         if (sourceLine) path.setAttribute('data-source-line', String(sourceLine));
     });
+}
 
+// State diagram transitions
+function applyStateMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
     // State diagram transitions
-    var stateTransKeys = Object.keys(arrowLineMap).filter(function(k) { return k.indexOf('->') !== -1; });
-    var transIdx = 0;
+    // Transitions are drawn in statement order (repeated transitions each keep their own line)
     svg.querySelectorAll('path.transition').forEach(function(path) {
-        var sourceLine = null;
-        var transKey = stateTransKeys[transIdx] || '';
-        if (transKey && arrowLineMap[transKey]) {
-            sourceLine = String(arrowLineMap[transKey]);
-        }
-        createHitArea(path, sourceLine, 'data-state-transition', transKey);
+        var transition = nextMermaidStatement(model, 'transition');
+        var sourceLine = transition ? String(transition.line) : null;
+        var transKey = transition ? transition.text : '';
+        var hitRect = createHitArea(path, sourceLine, 'data-state-transition', transKey);
         path.style.cursor = 'pointer';
         path.setAttribute('data-mermaid-node', 'true');
         path.setAttribute('data-state-transition', transKey);
         if (sourceLine) path.setAttribute('data-source-line', sourceLine);
-        transIdx++;
+        if (transition) setMermaidEdgeEnds([path, hitRect], transition.from, transition.to);
     });
+}
 
+// ER diagram: entities, relationships and attributes
+function applyErMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
     // ER diagram: entity names
     svg.querySelectorAll('g.entityLabel, g.label.name').forEach(function(label) {
-        var entityName = label.textContent.trim();
+        // Entity ids (entity-NAME-N) survive aliases and formatting in the label
+        var entityNode = label.closest('g[id^="entity-"]');
+        var entityIdMatch = entityNode ? entityNode.id.match(/^entity-(.+)-\d+$/) : null;
+        var entityName = entityIdMatch ? entityIdMatch[1] : normalizeMermaidLabel(label.textContent);
         label.style.cursor = 'pointer';
         label.setAttribute('data-mermaid-node', 'true');
         label.setAttribute('data-er-entity', entityName);
-        if (nodeLineMap['entity:' + entityName]) {
-            label.setAttribute('data-source-line', String(nodeLineMap['entity:' + entityName]));
-        } else if (nodeLineMap['errel:' + entityName]) {
+        if (model.er.entities[entityName]) {
+            label.setAttribute('data-source-line', String(model.er.entities[entityName]));
+        } else if (model.er.relationEntities[entityName]) {
             // Use relationship line for entities without explicit definition
-            label.setAttribute('data-source-line', String(nodeLineMap['errel:' + entityName]));
+            label.setAttribute('data-source-line', String(model.er.relationEntities[entityName]));
         }
     });
 
@@ -617,27 +1382,7 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
             }
         }
 
-        // Create hit area
-        var bbox = path.getBBox();
-        var minSize = 16;
-        var rectW = Math.max(bbox.width, minSize);
-        var rectH = Math.max(bbox.height, minSize);
-        var rectX = bbox.x - (rectW - bbox.width) / 2;
-        var rectY = bbox.y - (rectH - bbox.height) / 2;
-
-        var hitRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        hitRect.setAttribute('x', rectX);
-        hitRect.setAttribute('y', rectY);
-        hitRect.setAttribute('width', rectW);
-        hitRect.setAttribute('height', rectH);
-        hitRect.setAttribute('fill', 'transparent');
-        hitRect.style.cursor = 'pointer';
-        hitRect.setAttribute('data-mermaid-node', 'true');
-        hitRect.setAttribute('data-er-relation', relText);
-        if (sourceLine) {
-            hitRect.setAttribute('data-source-line', sourceLine);
-        }
-        path.parentNode.insertBefore(hitRect, path.nextSibling);
+        createHitArea(path, sourceLine, 'data-er-relation', relText);
 
         path.style.cursor = 'pointer';
         path.setAttribute('data-mermaid-node', 'true');
@@ -648,7 +1393,7 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
 
     // ER diagram: attributes (all columns index-based)
     // SVG element order matches source code order for each column type
-    var erAttrLines = nodeLineMap['er-attr-lines'] || [];
+    var erAttrLines = model.er.attributeLines;
     
     // Process attribute-type (1st column) - index based
     var typeIdx = 0;
@@ -697,9 +1442,12 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
         }
         commentIdx++;
     });
+}
 
+// Gantt: tasks, sections and title
+function applyGanttMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
     // Gantt: tasks (index-based for duplicate task names)
-    var ganttTaskLines = nodeLineMap['gantt-task-lines'] || [];
+    var ganttTaskLines = model.gantt.taskLines;
     svg.querySelectorAll('rect.task').forEach(function(task, idx) {
         var taskId = task.id || '';
         task.style.cursor = 'pointer';
@@ -727,9 +1475,8 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
         text.style.cursor = 'pointer';
         text.setAttribute('data-mermaid-node', 'true');
         text.setAttribute('data-gantt-section', sectionName);
-        if (nodeLineMap['gantt-section:' + sectionName]) {
-            text.setAttribute('data-source-line', String(nodeLineMap['gantt-section:' + sectionName]));
-        }
+        var section = takeMermaidStatement(model, 'gantt-section', sectionName);
+        if (section) text.setAttribute('data-source-line', String(section.line));
     });
 
     // Gantt: title
@@ -738,13 +1485,15 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
         text.style.cursor = 'pointer';
         text.setAttribute('data-mermaid-node', 'true');
         text.setAttribute('data-gantt-title', titleText);
-        if (nodeLineMap['gantt-title:' + titleText]) {
-            text.setAttribute('data-source-line', String(nodeLineMap['gantt-title:' + titleText]));
-        }
+        var title = takeMermaidStatement(model, 'title', titleText);
+        if (title) text.setAttribute('data-source-line', String(title.line));
     });
+}
 
+// Pie chart: slices, legend and title
+function applyPieMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
     // Pie chart: slices (index-based for duplicate labels)
-    var pieSliceLines = nodeLineMap['pie-slice-lines'] || [];
+    var pieSliceLines = model.pie.sliceLines;
     var pieLegends = svg.querySelectorAll('g.legend text');
     svg.querySelectorAll('path.pieCircle, .pieCircle').forEach(function(slice, idx) {
         slice.style.cursor = 'pointer';
@@ -773,19 +1522,21 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
         text.style.cursor = 'pointer';
         text.setAttribute('data-mermaid-node', 'true');
         text.setAttribute('data-pie-title', titleText);
-        if (nodeLineMap['pie-title:' + titleText]) {
-            text.setAttribute('data-source-line', String(nodeLineMap['pie-title:' + titleText]));
-        }
+        var title = takeMermaidStatement(model, 'title', titleText);
+        if (title) text.setAttribute('data-source-line', String(title.line));
     });
+}
 
+// Git graph: commits, labels and branches
+function applyGitMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
     // Git graph: commits (excluding merge decorations)
     var gitCommitIdx = 0;
     svg.querySelectorAll('circle.commit:not(.commit-merge)').forEach(function(commit) {
         commit.style.cursor = 'pointer';
         commit.setAttribute('data-mermaid-node', 'true');
         commit.setAttribute('data-git-commit', String(gitCommitIdx));
-        if (nodeLineMap['git-commit:' + gitCommitIdx]) {
-            commit.setAttribute('data-source-line', String(nodeLineMap['git-commit:' + gitCommitIdx]));
+        if (model.git.commitLines[gitCommitIdx]) {
+            commit.setAttribute('data-source-line', String(model.git.commitLines[gitCommitIdx]));
         }
         gitCommitIdx++;
     });
@@ -807,9 +1558,8 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
         text.style.cursor = 'pointer';
         text.setAttribute('data-mermaid-node', 'true');
         text.setAttribute('data-git-label', labelText);
-        if (nodeLineMap['git-label:' + labelText]) {
-            text.setAttribute('data-source-line', String(nodeLineMap['git-label:' + labelText]));
-        }
+        var label = takeMermaidStatement(model, 'git-label', labelText);
+        if (label) text.setAttribute('data-source-line', String(label.line));
     });
 
     // Git graph: branch labels
@@ -818,13 +1568,15 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
         branch.style.cursor = 'pointer';
         branch.setAttribute('data-mermaid-node', 'true');
         branch.setAttribute('data-git-branch', branchName);
-        if (nodeLineMap['git-branch:' + branchName]) {
-            branch.setAttribute('data-source-line', String(nodeLineMap['git-branch:' + branchName]));
-        }
+        var branchStatement = takeMermaidStatement(model, 'git-branch', branchName);
+        if (branchStatement) branch.setAttribute('data-source-line', String(branchStatement.line));
     });
+}
 
+// Mindmap nodes
+function applyMindmapMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
     // Mindmap: nodes (index-based for duplicate labels)
-    var mindmapLines = nodeLineMap['mindmap-lines'] || [];
+    var mindmapLines = model.mindmap.lines;
     svg.querySelectorAll('g.mindmap-node, g.node.mindmap-node').forEach(function(node, idx) {
         var labelEl = node.querySelector('.nodeLabel');
         if (labelEl) {
@@ -839,8 +1591,313 @@ function applyMappingsToSvg(svg, nodeLineMap, arrowLineMap, messageLineNums, edg
     });
 }
 
-function createHitArea(element, sourceLine, dataAttr, dataValue) {
-    var bbox = element.getBBox();
+// Mark an SVG element as a pointable Mermaid node with an optional kind attribute
+function tagMermaidElement(element, sourceLine, dataAttr, dataValue) {
+    element.style.cursor = 'pointer';
+    element.setAttribute('data-mermaid-node', 'true');
+    if (dataAttr) element.setAttribute(dataAttr, dataValue);
+    if (sourceLine) element.setAttribute('data-source-line', String(sourceLine));
+}
+
+// Endpoints of a connector by diagram node id, so MermaidNeighbors.js can walk the diagram as a graph
+function setMermaidEdgeEnds(elements, from, to) {
+    elements.forEach(function(el) {
+        if (!el) return;
+        el.setAttribute('data-edge-from', from);
+        el.setAttribute('data-edge-to', to);
+    });
+}
+
+// Diagram title (journey, timeline): rendered as an unclassed text element, matched by text
+function tagDiagramTitle(svg, model) {
+    var title = model.title;
+    if (!title) return;
+    var titleText = Array.from(svg.querySelectorAll('text')).find(function(text) {
+        return normalizeMermaidLabel(text.textContent) === normalizeMermaidLabel(title.text) && !text.closest('[data-mermaid-node]');
+    });
+    if (titleText) tagMermaidElement(titleText, title.line, 'data-diagram-title', title.text);
+}
+
+// User journey: each section and task is drawn as its own <g> in source order
+function applyJourneyMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
+    var sections = model.journey.sections;
+    var tasks = model.journey.tasks;
+    var actorLines = {};
+    tasks.forEach(function(task) {
+        task.actors.forEach(function(actor) {
+            if (!actorLines[actor]) actorLines[actor] = task.line;
+        });
+    });
+
+    svg.querySelectorAll('rect.journey-section').forEach(function(rect, idx) {
+        var section = sections[idx];
+        tagMermaidElement(rect.parentElement, section ? section.line : null,
+            'data-journey-section', section ? section.name : rect.parentElement.textContent.trim());
+    });
+
+    svg.querySelectorAll('rect.task').forEach(function(rect, idx) {
+        var task = tasks[idx];
+        var group = rect.parentElement;
+        if (!task) {
+            tagMermaidElement(group, null, 'data-journey-task', group.textContent.trim());
+            return;
+        }
+        tagMermaidElement(group, task.line, 'data-journey-task', task.name);
+        group.setAttribute('data-journey-score', task.score);
+
+        // Score face and actor dots inside the task group
+        var face = group.querySelector('circle.face');
+        if (face && face.parentElement !== group) {
+            tagMermaidElement(face.parentElement, task.line, 'data-journey-face', task.name);
+            face.parentElement.setAttribute('data-journey-score', task.score);
+        }
+        group.querySelectorAll('circle[class^="actor-"]').forEach(function(circle, actorIdx) {
+            tagMermaidElement(circle, task.line, 'data-journey-actor', task.actors[actorIdx] || '');
+        });
+    });
+
+    // Actor legend on the left: points at the first task the actor appears in
+    svg.querySelectorAll('text.legend').forEach(function(text) {
+        var actor = text.textContent.trim();
+        tagMermaidElement(text, actorLines[actor], 'data-journey-actor', actor);
+    });
+
+    tagDiagramTitle(svg, model);
+}
+
+// Timeline: g.timeline-node elements are drawn section, period, events... in source order
+function applyTimelineMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
+    var items = model.timeline.items;
+    svg.querySelectorAll('g.timeline-node').forEach(function(node, idx) {
+        var item = items[idx];
+        if (!item) {
+            tagMermaidElement(node, null, 'data-timeline-period', node.textContent.trim());
+            return;
+        }
+        tagMermaidElement(node, item.line, 'data-timeline-' + item.kind, item.text);
+        if (item.kind === 'event') node.setAttribute('data-timeline-event-period', item.period);
+    });
+
+    tagDiagramTitle(svg, model);
+}
+
+// Quadrant chart: g.quadrant in quadrant-1..4 order, axis labels by text, g.data-point in source order
+function applyQuadrantMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
+    svg.querySelectorAll('g.quadrant').forEach(function(quadrant, idx) {
+        var def = model.quadrant.quadrants[idx];
+        if (def) tagMermaidElement(quadrant, def.line, 'data-quadrant', def.text);
+    });
+
+    var labels = model.quadrant.labels;
+    svg.querySelectorAll('g.label').forEach(function(label) {
+        var def = labels[label.textContent.trim()];
+        if (!def) return;
+        tagMermaidElement(label, def.line, 'data-chart-axis', def.axis + '-axis');
+        label.setAttribute('data-chart-axis-label', label.textContent.trim());
+    });
+
+    var points = model.quadrant.points;
+    svg.querySelectorAll('g.data-point').forEach(function(point, idx) {
+        var def = points[idx];
+        if (!def) return;
+        tagMermaidElement(point, def.line, 'data-quadrant-point', def.name);
+        point.setAttribute('data-quadrant-point-value', '[' + def.x + ', ' + def.y + ']');
+    });
+
+    tagDiagramTitle(svg, model);
+}
+
+// XY chart: g.<type>-plot-N per plot statement (bars are its rects), axes as
+// g.bottom-axis / g.left-axis (swapped for horizontal charts)
+function applyXyChartMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
+    var plots = model.xychart.plots;
+    var xAxis = model.xychart.xAxis;
+    var categories = xAxis ? xAxis.categories : [];
+
+    svg.querySelectorAll('g[class*="-plot-"]').forEach(function(group) {
+        var indexMatch = (group.getAttribute('class') || '').match(/(bar|line)-plot-(\d+)/);
+        var plot = indexMatch ? plots[parseInt(indexMatch[2], 10)] : null;
+        if (!plot) return;
+        var seriesName = plot.title || plot.type + ' ' + (parseInt(indexMatch[2], 10) + 1);
+        tagMermaidElement(group, plot.line, 'data-chart-series', seriesName);
+        group.setAttribute('data-chart-series-type', plot.type);
+
+        if (plot.type !== 'bar') return;
+        group.querySelectorAll('rect').forEach(function(rect, barIdx) {
+            var category = categories[barIdx] || String(barIdx + 1);
+            tagMermaidElement(rect, plot.line, 'data-chart-bar', category + ' = ' + (plot.values[barIdx] || ''));
+        });
+    });
+
+    var horizontal = model.xychart.horizontal;
+    [['x', horizontal ? 'left-axis' : 'bottom-axis'], ['y', horizontal ? 'bottom-axis' : 'left-axis']].forEach(function(axis) {
+        var def = model.xychart[axis[0] + 'Axis'];
+        var group = svg.querySelector('g.' + axis[1]);
+        if (!def || !group) return;
+        tagMermaidElement(group, def.line, 'data-chart-axis', axis[0] + '-axis');
+        if (def.title) group.setAttribute('data-chart-axis-label', def.title);
+    });
+
+    tagDiagramTitle(svg, model);
+}
+
+// Sankey: g.node in order of first appearance, text labels in the same order, g.link per CSV line
+function applySankeyMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
+    var nodes = model.sankey.nodes;
+    var flows = model.sankey.flows;
+
+    svg.querySelectorAll('g.nodes > g.node').forEach(function(node, idx) {
+        var def = nodes[idx];
+        if (def) tagMermaidElement(node, def.line, 'data-sankey-node', def.name);
+    });
+    svg.querySelectorAll('g.node-labels text').forEach(function(text, idx) {
+        var def = nodes[idx];
+        if (def) tagMermaidElement(text, def.line, 'data-sankey-node', def.name);
+    });
+    svg.querySelectorAll('g.links > g.link').forEach(function(link, idx) {
+        var def = flows[idx];
+        if (!def) return;
+        tagMermaidElement(link, def.line, 'data-sankey-flow', def.source + ' -> ' + def.target);
+        link.setAttribute('data-sankey-value', def.value);
+    });
+}
+
+// Element rendered for a source id. Mermaid writes the id as is, as "<svgId>-<id>", or as a
+// counted "<prefix>-<id>-<n>" (optionally after "<svgId>-"). Ids that merely end in "-<id>"
+// ("service-db" for "db") belong to other nodes.
+function findMermaidElementById(svg, id) {
+    var diagramPrefix = svg.id ? svg.id + '-' : null;
+    var getRank = function(elementId) {
+        if (elementId === id) return 3;
+        if (diagramPrefix && elementId === diagramPrefix + id) return 2;
+        var rest = diagramPrefix && elementId.indexOf(diagramPrefix) === 0 ? elementId.substring(diagramPrefix.length) : elementId;
+        var counted = /^([A-Za-z]+)-(.+)-(\d+)$/.exec(rest);
+        return counted && counted[2] === id ? 1 : 0;
+    };
+    var best = null;
+    var bestRank = 0;
+    svg.querySelectorAll('[id]').forEach(function(el) {
+        var rank = getRank(el.id);
+        // Within a rank, the node's <g> wins over its inner shapes
+        if (rank > bestRank || (rank === bestRank && rank > 0 && best.tagName.toLowerCase() !== 'g' && el.tagName.toLowerCase() === 'g')) {
+            best = el;
+            bestRank = rank;
+        }
+    });
+    return best;
+}
+
+// First text element with exactly this content that is not yet mapped
+function findUnmappedText(svg, label) {
+    var wanted = normalizeMermaidLabel(label);
+    return Array.from(svg.querySelectorAll('text')).find(function(text) {
+        return normalizeMermaidLabel(text.textContent) === wanted && !text.closest('[data-mermaid-node]');
+    }) || null;
+}
+
+// Connector lines (C4 relationships, requirement links, architecture edges, block edges)
+// are thin, so each gets a hit area and its label text the same mapping
+function tagMermaidConnector(path, sourceLine, dataAttr, dataValue, label) {
+    path.setAttribute('data-mermaid-node', 'true');
+    path.setAttribute(dataAttr, dataValue);
+    path.setAttribute('data-source-line', String(sourceLine));
+    var hitRect = createHitArea(path, String(sourceLine), dataAttr, dataValue);
+    if (label) {
+        var labelText = findUnmappedText(path.ownerSVGElement || path.parentNode, label);
+        if (labelText) tagMermaidElement(labelText, sourceLine, dataAttr, dataValue);
+    }
+    return hitRect;
+}
+
+// C4: shapes and boundaries are <g> groups holding their label text; relationships
+// are drawn in statement order as line/path elements with arrow markers
+function applyC4Mappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
+    var rels = model.c4.rels;
+    var connectors = Array.from(svg.querySelectorAll('line, path')).filter(function(el) {
+        return el.hasAttribute('marker-end') || el.hasAttribute('marker-start');
+    });
+    connectors.forEach(function(connector, idx) {
+        var rel = rels[idx];
+        if (rel) tagMermaidConnector(connector, rel.line, 'data-c4-rel', rel.from + ' -> ' + rel.to + (rel.label ? ' "' + rel.label + '"' : ''), rel.label);
+    });
+
+    model.c4.elements.forEach(function(element) {
+        var labelText = findUnmappedText(svg, element.label);
+        if (!labelText) return;
+        var group = labelText.parentElement;
+        if (!group || group === svg || group.hasAttribute('data-mermaid-node')) group = labelText;
+        tagMermaidElement(group, element.line, 'data-c4-element', element.label);
+        group.setAttribute('data-c4-kind', element.kind);
+    });
+
+    tagDiagramTitle(svg, model);
+}
+
+// Requirement diagram: requirement/element boxes by name, relationship paths and
+// their <<type>> labels in statement order
+function applyRequirementMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
+    model.requirement.nodes.forEach(function(req) {
+        var node = findMermaidElementById(svg, req.name);
+        if (!node) {
+            var nameText = findUnmappedText(svg, req.name);
+            node = nameText ? nameText.closest('g') : null;
+        }
+        if (!node) return;
+        tagMermaidElement(node, req.line, 'data-requirement', req.id ? req.id + ' (' + req.name + ')' : req.name);
+        node.setAttribute('data-requirement-kind', req.kind);
+    });
+
+    var rels = model.requirement.rels;
+    var paths = svg.querySelectorAll('path.relationshipLine').length > 0
+        ? svg.querySelectorAll('path.relationshipLine')
+        : svg.querySelectorAll('.edgePaths path, path.flowchart-link');
+    paths.forEach(function(path, idx) {
+        var rel = rels[idx];
+        if (!rel) return;
+        tagMermaidConnector(path, rel.line, 'data-requirement-rel', rel.from + ' ' + rel.type + ' ' + rel.to);
+    });
+    svg.querySelectorAll('.relationshipLabel, g.edgeLabel').forEach(function(label, idx) {
+        var rel = rels[idx];
+        if (rel) tagMermaidElement(label, rel.line, 'data-requirement-rel', rel.from + ' ' + rel.type + ' ' + rel.to);
+    });
+}
+
+// Architecture: services and junctions render as "service-<id>", groups as "group-<id>";
+// edges are path.edge in statement order
+function applyArchitectureMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
+    model.architecture.elements.forEach(function(element) {
+        var node = findMermaidElementById(svg, (element.kind === 'group' ? 'group-' : 'service-') + element.id) ||
+            findMermaidElementById(svg, element.id);
+        if (!node) return;
+        tagMermaidElement(node, element.line, 'data-arch-element', element.label);
+        node.setAttribute('data-arch-kind', element.kind);
+    });
+
+    var edges = model.architecture.edges;
+    svg.querySelectorAll('path.edge').forEach(function(path, idx) {
+        var edge = edges[idx];
+        if (edge) tagMermaidConnector(path, edge.line, 'data-arch-edge', edge.from + ' -- ' + edge.to);
+    });
+}
+
+// Block diagram: blocks by id (first line the id appears on), edges in statement order
+function applyBlockMappings(svg, nodeLineMap, arrowLineMap, arrowTypeMap, model) {
+    var blocks = model.block.nodes;
+    Object.keys(blocks).forEach(function(id) {
+        var node = findMermaidElementById(svg, id);
+        if (node) tagMermaidElement(node, blocks[id], 'data-block-node', id);
+    });
+
+    var edges = model.block.edges;
+    svg.querySelectorAll('.edgePaths path, path.flowchart-link').forEach(function(path, idx) {
+        var edge = edges[idx];
+        if (edge) tagMermaidConnector(path, edge.line, 'data-block-edge', edge.from + ' --> ' + edge.to);
+    });
+}
+
+// coveredBox stands in for the element's own box when the area must reach further (a marker tip)
+function createHitArea(element, sourceLine, dataAttr, dataValue, coveredBox) {
+    var bbox = coveredBox || element.getBBox();
     var minSize = 16;
     var rectW = Math.max(bbox.width, minSize);
     var rectH = Math.max(bbox.height, minSize);
@@ -855,8 +1912,11 @@ function createHitArea(element, sourceLine, dataAttr, dataValue) {
     hitRect.setAttribute('fill', 'transparent');
     hitRect.style.cursor = 'pointer';
     hitRect.setAttribute('data-mermaid-node', 'true');
+    hitRect.setAttribute('data-hit-area', 'true');
     if (dataAttr && dataValue) hitRect.setAttribute(dataAttr, dataValue);
     if (sourceLine) hitRect.setAttribute('data-source-line', sourceLine);
+    // Covered box, so MermaidPanZoom.js can keep the minimum size in screen pixels
+    hitRect.mermaidHitBBox = { x: bbox.x, y: bbox.y, width: bbox.width, height: bbox.height };
 
     element.parentNode.insertBefore(hitRect, element.nextSibling);
     return hitRect;
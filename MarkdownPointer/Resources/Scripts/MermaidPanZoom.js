@@ -0,0 +1,213 @@
+// Per-diagram pan and zoom for rendered Mermaid SVGs: Ctrl+wheel over a diagram (any wheel
+// in the fullscreen viewer) zooms around the cursor, dragging a zoomed diagram pans it and
+// double-click fits it again. Only the SVG viewBox changes, so tagged nodes, hit areas and
+// highlights stay live SVG elements with their data-source-line at every zoom level.
+var mermaidPanDrag = null;
+var suppressMermaidPanClick = false;
+var mermaidZoomStep = 1.2;
+
+// Called by DomContentLoadedHandler once processMermaidNodes has run
+function initMermaidPanZoom() {
+    document.querySelectorAll('.mermaid').forEach(function(container) {
+        var svg = container.querySelector('svg');
+        if (!svg || !svg.viewBox || !svg.viewBox.baseVal || !svg.viewBox.baseVal.width) return;
+        svg.mermaidFitViewBox = getMermaidViewBox(svg);
+        container.appendChild(createMermaidZoomControls(container, svg));
+    });
+}
+
+function createMermaidZoomControls(container, svg) {
+    var controls = document.createElement('div');
+    controls.className = 'mermaid-zoom-controls mdp-ui';
+    [
+        { label: '+', title: 'Zoom in', action: function() { zoomMermaidDiagram(svg, mermaidZoomStep); } },
+        { label: '−', title: 'Zoom out', action: function() { zoomMermaidDiagram(svg, 1 / mermaidZoomStep); } },
+        { label: 'Fit', title: 'Fit diagram (double-click)', action: function() { fitMermaidDiagram(svg); } },
+        { label: '⛶', title: 'Fullscreen (Esc to close)', action: function() { toggleMermaidFullscreen(container); } }
+    ].forEach(function(button) {
+        var el = document.createElement('button');
+        el.textContent = button.label;
+        el.title = button.title;
+        el.addEventListener('click', function(e) {
+            e.stopPropagation();
+            button.action();
+        });
+        controls.appendChild(el);
+    });
+    return controls;
+}
+
+function getMermaidViewBox(svg) {
+    var box = svg.viewBox.baseVal;
+    return { x: box.x, y: box.y, width: box.width, height: box.height };
+}
+
+function setMermaidViewBox(svg, box) {
+    svg.setAttribute('viewBox', [box.x, box.y, box.width, box.height].join(' '));
+    var fit = svg.mermaidFitViewBox;
+    // Zooming in and back out again leaves floating-point residue in the box
+    var tolerance = fit.width / 1000;
+    var zoomed = Math.abs(box.x - fit.x) > tolerance || Math.abs(box.y - fit.y) > tolerance ||
+        Math.abs(box.width - fit.width) > tolerance;
+    svg.closest('.mermaid').classList.toggle('mermaid-zoomed', zoomed);
+    resizeMermaidHitAreas(svg);
+}
+
+function fitMermaidDiagram(svg) {
+    setMermaidViewBox(svg, svg.mermaidFitViewBox);
+}
+
+// Zoom by `factor` keeping the point under (clientX, clientY) in place (centre by default).
+// The aspect ratio never changes, so the inline diagram keeps its height in the page.
+function zoomMermaidDiagram(svg, factor, clientX, clientY) {
+    var fit = svg.mermaidFitViewBox;
+    var box = getMermaidViewBox(svg);
+    var width = Math.min(Math.max(box.width / factor, fit.width / 20), fit.width * 2);
+    factor = box.width / width;
+
+    var center = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+    var ctm = svg.getScreenCTM();
+    if (ctm && clientX !== undefined) {
+        var point = svg.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        center = point.matrixTransform(ctm.inverse());
+    }
+    setMermaidViewBox(svg, {
+        x: center.x - (center.x - box.x) / factor,
+        y: center.y - (center.y - box.y) / factor,
+        width: width,
+        height: box.height / factor
+    });
+}
+
+function panMermaidDiagram(svg, screenDx, screenDy, scale) {
+    var box = getMermaidViewBox(svg);
+    box.x -= screenDx / scale;
+    box.y -= screenDy / scale;
+    setMermaidViewBox(svg, box);
+}
+
+// Keep hit areas at least 16 screen pixels across at any zoom level
+function resizeMermaidHitAreas(svg) {
+    var ctm = svg.getScreenCTM();
+    if (!ctm || !ctm.a) return;
+    var minSize = 16 / ctm.a;
+    svg.querySelectorAll('[data-hit-area]').forEach(function(hitRect) {
+        var bbox = hitRect.mermaidHitBBox;
+        if (!bbox) return;
+        var rectW = Math.max(bbox.width, minSize);
+        var rectH = Math.max(bbox.height, minSize);
+        hitRect.setAttribute('x', bbox.x - (rectW - bbox.width) / 2);
+        hitRect.setAttribute('y', bbox.y - (rectH - bbox.height) / 2);
+        hitRect.setAttribute('width', rectW);
+        hitRect.setAttribute('height', rectH);
+    });
+}
+
+// Pan a zoomed diagram so `element` is in view (scrollToLine, keyboard pointing)
+function revealMermaidElement(element) {
+    var svg = element.ownerSVGElement;
+    if (!svg || !svg.mermaidFitViewBox || !svg.closest('.mermaid-zoomed')) return;
+    var ctm = svg.getScreenCTM();
+    if (!ctm || !ctm.a) return;
+    var view = svg.getBoundingClientRect();
+    var rect = element.getBoundingClientRect();
+    if (rect.left >= view.left && rect.right <= view.right && rect.top >= view.top && rect.bottom <= view.bottom) return;
+    panMermaidDiagram(svg,
+        (view.left + view.width / 2) - (rect.left + rect.width / 2),
+        (view.top + view.height / 2) - (rect.top + rect.height / 2),
+        ctm.a);
+}
+
+// Fullscreen viewer: the container itself is pinned over the page, so the SVG never
+// leaves its .mermaid container and pointing resolves exactly as it does inline
+function toggleMermaidFullscreen(container) {
+    var open = !container.classList.contains('mermaid-fullscreen');
+    document.querySelectorAll('.mermaid-fullscreen').forEach(function(other) {
+        other.classList.remove('mermaid-fullscreen');
+    });
+    if (open) container.classList.add('mermaid-fullscreen');
+    document.body.classList.toggle('mermaid-fullscreen-open', open);
+    var svg = container.querySelector('svg');
+    if (svg && svg.mermaidFitViewBox) fitMermaidDiagram(svg);
+}
+
+function getMermaidZoomTarget(target) {
+    if (!target || !target.closest || target.closest('.mdp-ui')) return null;
+    var container = target.closest('.mermaid');
+    var svg = container ? container.querySelector('svg') : null;
+    return svg && svg.mermaidFitViewBox ? svg : null;
+}
+
+// Runs before the document-level Ctrl+wheel handler that zooms the whole page
+window.addEventListener('wheel', function(e) {
+    var svg = getMermaidZoomTarget(e.target);
+    if (!svg) return;
+    var fullscreen = svg.closest('.mermaid-fullscreen');
+    if (!e.ctrlKey && !fullscreen) return;
+    e.preventDefault();
+    e.stopPropagation();
+    zoomMermaidDiagram(svg, e.deltaY < 0 ? mermaidZoomStep : 1 / mermaidZoomStep, e.clientX, e.clientY);
+}, { capture: true, passive: false });
+
+// Dragging a zoomed or fullscreen diagram pans it instead of starting a range drag
+window.addEventListener('mousedown', function(e) {
+    if (e.button !== 0) return;
+    var svg = getMermaidZoomTarget(e.target);
+    if (!svg || !svg.closest('.mermaid-zoomed, .mermaid-fullscreen')) return;
+    var ctm = svg.getScreenCTM();
+    if (!ctm || !ctm.a) return;
+    e.preventDefault();
+    e.stopPropagation();
+    mermaidPanDrag = { svg: svg, x: e.clientX, y: e.clientY, scale: ctm.a, dragging: false };
+}, true);
+
+document.addEventListener('mousemove', function(e) {
+    if (!mermaidPanDrag) return;
+    var dx = e.clientX - mermaidPanDrag.x;
+    var dy = e.clientY - mermaidPanDrag.y;
+    // Small movements are still plain clicks
+    if (!mermaidPanDrag.dragging && Math.abs(dx) < 5 && Math.abs(dy) < 5) return;
+    mermaidPanDrag.dragging = true;
+    mermaidPanDrag.svg.closest('.mermaid').classList.add('mermaid-panning');
+    panMermaidDiagram(mermaidPanDrag.svg, dx, dy, mermaidPanDrag.scale);
+    mermaidPanDrag.x = e.clientX;
+    mermaidPanDrag.y = e.clientY;
+});
+
+document.addEventListener('mouseup', function() {
+    if (!mermaidPanDrag) return;
+    var drag = mermaidPanDrag;
+    mermaidPanDrag = null;
+    drag.svg.closest('.mermaid').classList.remove('mermaid-panning');
+    if (!drag.dragging) return;
+    // The click that follows mouseup must not also point at the node under the cursor
+    suppressMermaidPanClick = true;
+    setTimeout(function() { suppressMermaidPanClick = false; }, 0);
+});
+
+// Runs before the document-level pointing click handler
+window.addEventListener('click', function(e) {
+    if (suppressMermaidPanClick) {
+        suppressMermaidPanClick = false;
+        e.preventDefault();
+        e.stopPropagation();
+    }
+}, true);
+
+document.addEventListener('dblclick', function(e) {
+    var svg = getMermaidZoomTarget(e.target);
+    if (!svg) return;
+    e.preventDefault();
+    fitMermaidDiagram(svg);
+});
+
+document.addEventListener('keydown', function(e) {
+    if (e.key !== 'Escape') return;
+    var fullscreen = document.querySelector('.mermaid-fullscreen');
+    if (fullscreen) {
+        e.preventDefault();
+        toggleMermaidFullscreen(fullscreen);
+    }
+});
@@ -1,4 +1,7 @@
 function getPointableElement(element) {
+    // In-page UI (selection tray, panels) is never pointable
+    if (element && element.closest && element.closest('.mdp-ui')) return null;
+
     // First, check if element is inside a table cell - if so, return the cell
     var checkElement = element;
     while (checkElement && checkElement !== document.body) {
@@ -62,6 +65,7 @@ function getElementLine(element) {
         return element.getAttribute('data-source-line');
     }
     while (element && element !== document.body) {
+        if (lineIndexByElement.has(element)) return String(lineIndexByElement.get(element));
         if (element.hasAttribute && element.hasAttribute('data-line')) {
             return element.getAttribute('data-line');
         }
@@ -71,6 +75,15 @@ function getElementLine(element) {
     return '?';
 }
 
+function getCodeLanguage(pre) {
+    var code = pre ? pre.querySelector('code') : null;
+    if (code && code.className) {
+        var match = code.className.match(/language-(\w+)/);
+        if (match) return match[1];
+    }
+    return '';
+}
+
 function getTableRowMarkdown(tr) {
     var cells = tr.querySelectorAll('td, th');
     var parts = [];
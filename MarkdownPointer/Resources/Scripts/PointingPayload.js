@@ -0,0 +1,153 @@
+// Structured pointing payload posted to the host as JSON ('point:' message).
+// The host formats it into clipboard text with the active reference template.
+function getPointingPayload(element) {
+    var line = parseInt(getElementLine(element), 10);
+    var payload = {
+        kind: getElementKind(element),
+        line: isNaN(line) ? null : line,
+        endLine: null,
+        breadcrumb: getHeadingBreadcrumb(element) || null,
+        context: getContainerContext(element) || null,
+        summary: getElementContent(element)
+    };
+    var findings = getLintFindings(element);
+    if (findings.length > 0) {
+        payload.findings = findings;
+        payload.summary += ' ⚠ ' + findings.join('; ');
+    }
+    var endLine = getElementEndLine(element);
+    payload.endLine = endLine !== null ? Math.max(endLine, payload.line || endLine) : payload.line;
+
+    var tagName = element.tagName ? element.tagName.toLowerCase() : '';
+    if (payload.kind === 'table-cell' || payload.kind === 'table-row') {
+        var tr = payload.kind === 'table-row' ? element : element.parentElement;
+        var table = tr ? tr.closest('table') : null;
+        payload.row = table ? Array.from(table.querySelectorAll('tr')).indexOf(tr) : 0;
+        if (payload.kind === 'table-cell') payload.col = Array.from(tr.children).indexOf(element);
+    } else if (payload.kind === 'code-line') {
+        payload.language = getCodeLanguage(element.closest('pre')) || null;
+    } else if (payload.kind === 'code-block') {
+        payload.language = getCodeLanguage(element) || null;
+    } else if (payload.kind === 'katex' || payload.kind === 'katex-row') {
+        payload.tex = element.getAttribute('data-math');
+    } else if (payload.kind === 'heading') {
+        payload.level = parseInt(tagName.charAt(1), 10);
+    } else if (payload.kind === 'mermaid-node' || payload.kind === 'mermaid-diagram') {
+        var container = element.closest('.mermaid');
+        payload.diagramType = container ? container.getAttribute('data-diagram-type') : null;
+        if (payload.kind === 'mermaid-node') {
+            payload.nodeType = getMermaidNodeInfo(element).type;
+            payload.nodeId = getMermaidNodeId(element);
+            var neighbors = getMermaidNeighbors(element);
+            if (neighbors) {
+                payload.incoming = neighbors.incoming;
+                payload.outgoing = neighbors.outgoing;
+            }
+        }
+    }
+    return payload;
+}
+
+// Element kind; mirrors the branch order of getElementContent
+function getElementKind(element) {
+    if (element.closest('[data-render-error]')) return 'render-error';
+    var tagName = element.tagName ? element.tagName.toLowerCase() : '';
+    if (tagName === 'td' || tagName === 'th') return 'table-cell';
+    if (tagName === 'tr') return 'table-row';
+    if (tagName === 'table') return 'table';
+    if (element.classList && element.classList.contains('code-line')) return 'code-line';
+    if (tagName === 'ul' || tagName === 'ol') return 'list';
+    if (element.hasAttribute && element.hasAttribute('data-mermaid-node')) return 'mermaid-node';
+    if (element.classList && element.classList.contains('mermaid')) return 'mermaid-diagram';
+    if (element.hasAttribute && element.hasAttribute('data-tex-row')) return 'katex-row';
+    if (element.classList && (element.classList.contains('katex') || element.classList.contains('math'))) return 'katex';
+    if (element.querySelector && element.querySelector('.katex')) return 'katex';
+    if (tagName === 'pre') return 'code-block';
+    if (/^h[1-6]$/.test(tagName)) return 'heading';
+    if (tagName === 'li') return 'list-item';
+    if (tagName === 'blockquote') return 'blockquote';
+    if (tagName === 'hr') return 'hr';
+    if (tagName === 'p') return 'paragraph';
+    return tagName || 'element';
+}
+
+// Enclosing heading path from the preceding h1-h6 in document order, e.g. '## Design > ### Storage'
+function getHeadingBreadcrumb(element) {
+    var path = [];
+    var headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+    for (var i = 0; i < headings.length; i++) {
+        var heading = headings[i];
+        if (heading === element || !(heading.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING)) break;
+        var level = parseInt(heading.tagName.charAt(1), 10);
+        while (path.length > 0 && path[path.length - 1].level >= level) path.pop();
+        path.push({ level: level, text: heading.textContent.trim() });
+    }
+    // A pointed heading's parents are only the headings above its own level
+    var ownLevel = element.tagName && /^h[1-6]$/i.test(element.tagName) ? parseInt(element.tagName.charAt(1), 10) : 0;
+    while (ownLevel && path.length > 0 && path[path.length - 1].level >= ownLevel) path.pop();
+    return path.map(function(h) {
+        return '#'.repeat(h.level) + ' ' + h.text;
+    }).join(' > ');
+}
+
+// Containing blockquote/list/table context, outermost first, e.g. 'blockquote > list item 2'
+function getContainerContext(element) {
+    var parts = [];
+    for (var node = element.parentElement; node && node !== document.body; node = node.parentElement) {
+        var tagName = node.tagName.toLowerCase();
+        if (tagName === 'blockquote') {
+            parts.push('blockquote');
+        } else if (tagName === 'li' && node.parentElement) {
+            var items = Array.from(node.parentElement.children).filter(function(child) {
+                return child.tagName.toLowerCase() === 'li';
+            });
+            parts.push('list item ' + (items.indexOf(node) + 1));
+        } else if (tagName === 'table') {
+            // Cells of the header row are already self-describing
+            var headerRow = node.querySelector('tr');
+            if (headerRow && !headerRow.contains(element)) {
+                parts.push('table ' + getTableRowMarkdown(headerRow));
+            }
+        }
+    }
+    return parts.reverse().join(' > ');
+}
+
+// Last source line covered by a block (null when only the start line is known)
+function getElementEndLine(element) {
+    if (element.classList && element.classList.contains('mermaid')) {
+        var source = element.getAttribute('data-mermaid-source');
+        var start = parseInt(element.getAttribute('data-line'), 10);
+        // Opening fence + source lines + closing fence
+        if (source !== null && !isNaN(start)) return start + source.split('\n').length + 1;
+        return null;
+    }
+    if (element.hasAttribute && element.hasAttribute('data-end-line')) {
+        // Written by the renderer on multi-line blocks (paragraphs, lists, quotes, tables, code
+        // blocks up to their closing fence) and on KaTeX formulas
+        var end = parseInt(element.getAttribute('data-end-line'), 10);
+        return isNaN(end) ? null : end;
+    }
+    if (element.hasAttribute && element.hasAttribute('data-source-line')) {
+        // Mermaid blocks (sequence frames, rects) span to their "end" line
+        var blockEnd = parseInt(element.getAttribute('data-source-end-line'), 10);
+        return isNaN(blockEnd) ? null : blockEnd;
+    }
+
+    var maxLine = null;
+    if (element.querySelectorAll) {
+        element.querySelectorAll('[data-line]').forEach(function(child) {
+            var childLine = parseInt(child.getAttribute('data-line'), 10);
+            if (!isNaN(childLine) && (maxLine === null || childLine > maxLine)) maxLine = childLine;
+        });
+    }
+    return maxLine;
+}
+
+// Diagram-level id of a Mermaid element (e.g. 'A' for flowchart-A-0), falling back to the SVG id
+function getMermaidNodeId(element) {
+    var id = element.id || element.getAttribute('data-hit-area-for') || '';
+    var match = id.match(/^(?:flowchart|classId|state|entity)-(.+)-\d+$/);
+    if (match) return match[1];
+    return id || null;
+}
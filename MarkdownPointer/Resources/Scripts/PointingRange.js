@@ -0,0 +1,106 @@
+// Drag-select pointing: press and drag across elements to point at a line range
+var rangeDragStart = null;
+var rangeDragBand = null;
+var suppressRangeClick = false;
+
+function getRangeSummary(first, last, startLine, endLine) {
+    var truncate = function(text) {
+        return text.length > 60 ? text.substring(0, 60) + '...' : text;
+    };
+    if (first === last) return getElementContent(first);
+    var count = endLine - startLine + 1;
+    return '(' + count + ' lines) ' + truncate(getElementContent(first)) + ' … ' + truncate(getElementContent(last));
+}
+
+function pointRange(startPointable, endPointable) {
+    var first = startPointable;
+    var last = endPointable;
+    var startLine = parseInt(getElementLine(first), 10);
+    var lastLine = parseInt(getElementLine(last), 10);
+    if (isNaN(startLine)) startLine = lastLine;
+    if (isNaN(lastLine)) lastLine = startLine;
+    if (isNaN(startLine)) return;
+
+    // Dragging upwards: swap so the range reads top to bottom
+    if (lastLine < startLine) {
+        var tmpLine = startLine; startLine = lastLine; lastLine = tmpLine;
+        var tmpElem = first; first = last; last = tmpElem;
+    }
+    // The range ends where the last block ends (a multi-line paragraph, code block or diagram),
+    // or where the first one does if it encloses the last
+    var endLine = Math.max(lastLine, getElementEndLine(last) || lastLine, getElementEndLine(first) || lastLine);
+
+    flashPointable(first);
+    if (last !== first) flashPointable(last);
+    var payload = {
+        kind: 'range',
+        line: startLine,
+        endLine: endLine,
+        summary: getRangeSummary(first, last, startLine, endLine)
+    };
+    window.chrome.webview.postMessage('point:' + JSON.stringify(payload));
+}
+
+function updateRangeBand(x, y) {
+    if (!rangeDragBand) {
+        rangeDragBand = document.createElement('div');
+        rangeDragBand.className = 'pointing-range-band mdp-ui';
+        document.body.appendChild(rangeDragBand);
+    }
+    var left = Math.min(rangeDragStart.pageX, x);
+    var top = Math.min(rangeDragStart.pageY, y);
+    rangeDragBand.style.left = left + 'px';
+    rangeDragBand.style.top = top + 'px';
+    rangeDragBand.style.width = Math.abs(x - rangeDragStart.pageX) + 'px';
+    rangeDragBand.style.height = Math.abs(y - rangeDragStart.pageY) + 'px';
+}
+
+function endRangeDrag() {
+    if (rangeDragBand) {
+        rangeDragBand.remove();
+        rangeDragBand = null;
+    }
+    rangeDragStart = null;
+}
+
+document.addEventListener('mousedown', function(e) {
+    if (!pointingModeEnabled || e.button !== 0) return;
+    if (e.target.closest && e.target.closest('a[href]')) return;
+    var pointable = getPointableElement(e.target);
+    if (!pointable) return;
+    rangeDragStart = { pageX: e.pageX, pageY: e.pageY, pointable: pointable, dragging: false };
+});
+
+document.addEventListener('mousemove', function(e) {
+    if (!rangeDragStart) return;
+    if (!rangeDragStart.dragging) {
+        // Small movements are still plain clicks
+        if (Math.abs(e.pageX - rangeDragStart.pageX) < 5 && Math.abs(e.pageY - rangeDragStart.pageY) < 5) return;
+        rangeDragStart.dragging = true;
+    }
+    updateRangeBand(e.pageX, e.pageY);
+});
+
+document.addEventListener('mouseup', function(e) {
+    if (!rangeDragStart) return;
+    var drag = rangeDragStart;
+    endRangeDrag();
+    if (!drag.dragging || !pointingModeEnabled) return;
+
+    var endPointable = getPointableElement(document.elementFromPoint(e.clientX, e.clientY));
+    if (!endPointable) return;
+
+    // The click that follows mouseup must not also post a single-element reference
+    suppressRangeClick = true;
+    setTimeout(function() { suppressRangeClick = false; }, 0);
+    pointRange(drag.pointable, endPointable);
+});
+
+// Runs before the document-level pointing click handler
+window.addEventListener('click', function(e) {
+    if (suppressRangeClick) {
+        suppressRangeClick = false;
+        e.preventDefault();
+        e.stopPropagation();
+    }
+}, true);
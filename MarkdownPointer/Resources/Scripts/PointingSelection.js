@@ -0,0 +1,106 @@
+// Multi-select pointing: Ctrl/Shift+click collects elements into a tray,
+// "Copy all" posts them to the host as one ordered batch
+var pointingSelection = [];
+var pointingTray = null;
+
+function togglePointingSelection(pointable) {
+    for (var i = 0; i < pointingSelection.length; i++) {
+        if (pointingSelection[i].element === pointable) {
+            getFlashTarget(pointable).classList.remove('pointing-selected');
+            pointingSelection.splice(i, 1);
+            renderPointingTray();
+            return;
+        }
+    }
+
+    getFlashTarget(pointable).classList.add('pointing-selected');
+    pointingSelection.push({
+        element: pointable,
+        line: getElementLine(pointable),
+        content: getElementContent(pointable)
+    });
+    sortPointingSelection();
+    renderPointingTray();
+}
+
+function sortPointingSelection() {
+    pointingSelection.sort(function(a, b) {
+        var lineA = parseInt(a.line, 10);
+        var lineB = parseInt(b.line, 10);
+        if (!isNaN(lineA) && !isNaN(lineB) && lineA !== lineB) return lineA - lineB;
+        // Same line (e.g. nodes of one diagram) or unknown line: fall back to document order
+        var pos = a.element.compareDocumentPosition(b.element);
+        if (pos & Node.DOCUMENT_POSITION_FOLLOWING) return -1;
+        if (pos & Node.DOCUMENT_POSITION_PRECEDING) return 1;
+        return 0;
+    });
+}
+
+function clearPointingSelection() {
+    pointingSelection.forEach(function(item) {
+        getFlashTarget(item.element).classList.remove('pointing-selected');
+    });
+    pointingSelection = [];
+    renderPointingTray();
+}
+
+function copyPointingSelection() {
+    if (pointingSelection.length === 0) return;
+    var batch = pointingSelection.map(function(item) {
+        return getPointingPayload(item.element);
+    });
+    window.chrome.webview.postMessage('point-batch:' + JSON.stringify(batch));
+}
+
+function renderPointingTray() {
+    if (pointingSelection.length === 0) {
+        if (pointingTray) {
+            pointingTray.remove();
+            pointingTray = null;
+        }
+        return;
+    }
+
+    if (!pointingTray) {
+        pointingTray = document.createElement('div');
+        pointingTray.className = 'pointing-tray mdp-ui';
+        document.body.appendChild(pointingTray);
+    }
+    pointingTray.textContent = '';
+
+    var header = document.createElement('div');
+    header.className = 'pointing-tray-header';
+    var title = document.createElement('span');
+    title.textContent = pointingSelection.length + ' selected';
+    header.appendChild(title);
+
+    var copyButton = document.createElement('button');
+    copyButton.textContent = 'Copy all';
+    copyButton.addEventListener('click', copyPointingSelection);
+    header.appendChild(copyButton);
+
+    var clearButton = document.createElement('button');
+    clearButton.textContent = 'Clear';
+    clearButton.addEventListener('click', clearPointingSelection);
+    header.appendChild(clearButton);
+    pointingTray.appendChild(header);
+
+    var list = document.createElement('ol');
+    pointingSelection.forEach(function(item) {
+        var li = document.createElement('li');
+        li.textContent = 'L' + item.line + ': ' + item.content;
+        li.title = item.content;
+        li.addEventListener('click', function() {
+            item.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        });
+        list.appendChild(li);
+    });
+    pointingTray.appendChild(list);
+}
+
+// Escape clears the selection
+document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape' && pointingSelection.length > 0) {
+        clearPointingSelection();
+    }
+});
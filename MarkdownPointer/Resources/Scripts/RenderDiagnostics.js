@@ -0,0 +1,160 @@
+// Render diagnostics: Mermaid and KaTeX failures with their source position, collected by
+// DomContentLoadedHandler and posted in 'render-complete:'. Each broken block gets an inline
+// error badge; the problems panel (F8 from the host) lists them with click-to-scroll.
+// A diagnostic is { source: 'mermaid' | 'katex' | 'markdown' | 'config', line: block start line, sourceLine: exact
+// line when the parser reports one, message, snippet: offending source text }.
+var renderDiagnostics = [];
+var problemsPanel = null;
+
+function addRenderDiagnostic(diagnostic) {
+    // The same broken formula repeated on one line is reported once
+    var duplicate = renderDiagnostics.some(function(other) {
+        return other.source === diagnostic.source && other.line === diagnostic.line &&
+            other.message === diagnostic.message && other.snippet === diagnostic.snippet;
+    });
+    if (!duplicate) renderDiagnostics.push(diagnostic);
+    return !duplicate;
+}
+
+function getRenderDiagnosticLabel(diagnostic) {
+    if (diagnostic.source === 'markdown') return 'Markdown';
+    if (diagnostic.source === 'config') return 'Math config';
+    return diagnostic.source === 'katex' ? 'KaTeX' : 'Mermaid';
+}
+
+// One-line form: '[Mermaid Line 14] Parse error on line 3: ...', also the pointed content of a broken block
+function formatRenderDiagnostic(diagnostic) {
+    var line = diagnostic.sourceLine || diagnostic.line;
+    return '[' + getRenderDiagnosticLabel(diagnostic) + (line ? ' Line ' + line : '') + '] ' + diagnostic.message;
+}
+
+function getBlockLine(element) {
+    var block = element.closest('[data-line]');
+    var line = block ? parseInt(block.getAttribute('data-line'), 10) : NaN;
+    return isNaN(line) ? null : line;
+}
+
+// Index into the block source of line `parsedLine` as Mermaid's parser counts it: frontmatter,
+// %% comment lines and leading blank or directive lines are stripped before parsing
+function getMermaidParsedLineIndex(sourceLines, parsedLine) {
+    var start = 0;
+    if (sourceLines.length > 0 && sourceLines[0].trim() === '---') {
+        var close = sourceLines.indexOf('---', 1);
+        if (close !== -1) start = close + 1;
+    }
+    var kept = [];
+    for (var i = start; i < sourceLines.length; i++) {
+        var line = sourceLines[i];
+        if (/^\s*%%(?!{)./.test(line)) continue;
+        if (/^\s*%%\{/.test(line)) {
+            // A directive is removed as a whole and leaves at most one empty line
+            while (i < sourceLines.length - 1 && sourceLines[i].indexOf('}%%') === -1) i++;
+            if (kept.length > 0) kept.push(i);
+            continue;
+        }
+        if (kept.length === 0 && !line.trim()) continue;
+        kept.push(i);
+    }
+    return parsedLine >= 1 && parsedLine <= kept.length ? kept[parsedLine - 1] : -1;
+}
+
+function getMermaidErrorDiagnostic(elem, error) {
+    var line = getBlockLine(elem);
+    var sourceLines = (elem.getAttribute('data-mermaid-source') || '').split('\n');
+    var message = error && error.message ? error.message : String(error);
+    // Jison parsers report a location; Langium parsers only mention it in the message
+    var parsedLine = error && error.hash && error.hash.loc ? error.hash.loc.first_line : null;
+    if (!parsedLine) {
+        var lineMatch = message.match(/\bline (\d+)/i);
+        if (lineMatch) parsedLine = parseInt(lineMatch[1], 10);
+    }
+    var index = parsedLine ? getMermaidParsedLineIndex(sourceLines, parsedLine) : -1;
+    return {
+        source: 'mermaid',
+        line: line,
+        // The source starts on the line after the opening fence
+        sourceLine: index !== -1 && line !== null ? line + 1 + index : null,
+        message: message,
+        snippet: index !== -1 ? sourceLines[index].trim() : ''
+    };
+}
+
+function getKatexErrorDiagnostic(errElem) {
+    var formula = errElem.textContent.trim();
+    return {
+        source: 'katex',
+        line: getBlockLine(errElem),
+        sourceLine: null,
+        message: errElem.getAttribute('title') || ('KaTeX parse error: ' + formula),
+        snippet: formula
+    };
+}
+
+// Tag a broken block for pointing and show an inline badge with the first line of the message
+function markRenderErrorBlock(element, diagnostic) {
+    element.setAttribute('data-render-error', formatRenderDiagnostic(diagnostic));
+    var inline = element.tagName.toLowerCase() === 'span';
+    var badge = document.createElement(inline ? 'span' : 'div');
+    badge.className = 'render-error-badge';
+    badge.title = diagnostic.message;
+    if (inline) {
+        badge.textContent = '⚠';
+        element.appendChild(badge);
+        return;
+    }
+    var line = diagnostic.sourceLine || diagnostic.line;
+    badge.textContent = '⚠ ' + getRenderDiagnosticLabel(diagnostic) + ' error' + (line ? ' on line ' + line : '') +
+        ': ' + diagnostic.message.split('\n')[0] + (diagnostic.snippet ? ' — ' + diagnostic.snippet : '');
+    element.insertBefore(badge, element.firstChild);
+}
+
+// Called from C# (F8, and again after each render while visible)
+function setProblemsPanel(visible) {
+    if (problemsPanel) {
+        problemsPanel.remove();
+        problemsPanel = null;
+    }
+    if (!visible) return;
+
+    problemsPanel = document.createElement('div');
+    problemsPanel.className = 'problems-panel mdp-ui';
+    var header = document.createElement('div');
+    header.className = 'problems-panel-header';
+    var title = document.createElement('span');
+    title.textContent = 'Problems (' + renderDiagnostics.length + ')';
+    var close = document.createElement('button');
+    close.textContent = '×';
+    close.title = 'Close (F8)';
+    close.addEventListener('click', function() {
+        setProblemsPanel(false);
+        window.chrome.webview.postMessage('problems-panel:hidden');
+    });
+    header.appendChild(title);
+    header.appendChild(close);
+    problemsPanel.appendChild(header);
+
+    if (renderDiagnostics.length === 0) {
+        var empty = document.createElement('div');
+        empty.className = 'problems-panel-empty';
+        empty.textContent = 'No problems';
+        problemsPanel.appendChild(empty);
+    }
+    renderDiagnostics.forEach(function(diagnostic) {
+        var line = diagnostic.sourceLine || diagnostic.line;
+        var item = document.createElement('div');
+        item.className = 'problems-panel-item';
+        item.title = diagnostic.message;
+        item.textContent = getRenderDiagnosticLabel(diagnostic) + (line ? ' line ' + line : '') + ': ' +
+            diagnostic.message.split('\n')[0];
+        if (diagnostic.snippet) {
+            var snippet = document.createElement('code');
+            snippet.textContent = diagnostic.snippet;
+            item.appendChild(snippet);
+        }
+        if (line) {
+            item.addEventListener('click', function() { scrollToLine(line); });
+        }
+        problemsPanel.appendChild(item);
+    });
+    document.body.appendChild(problemsPanel);
+}
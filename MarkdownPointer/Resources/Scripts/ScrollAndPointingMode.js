@@ -1,20 +1,40 @@
-// Scroll to line function (called from C#)
-function scrollToLine(line) {
-    var elements = document.querySelectorAll('[data-line]');
-    var closest = null;
-    var closestLine = -1;
-    
-    for (var i = 0; i < elements.length; i++) {
-        var elemLine = parseInt(elements[i].getAttribute('data-line'));
-        if (elemLine <= line && elemLine > closestLine) {
-            closest = elements[i];
-            closestLine = elemLine;
-        }
+// Scroll to line function (called from C#).
+// A single line resolves to the most specific element at or before it (code line,
+// table row, Mermaid node); a range highlights the outermost elements inside it.
+function scrollToLine(line, endLine) {
+    var targets = [];
+    if (endLine && endLine > line) {
+        targets = getOutermostElements(getElementsInRange(line, endLine));
     }
-    
-    if (closest) {
-        closest.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    if (targets.length === 0) {
+        targets = getInnermostElements(getNearestPrecedingElements(line));
     }
+    if (targets.length === 0) return;
+
+    // A node outside a zoomed diagram's current view is panned into it first
+    targets.forEach(function(el) {
+        if (el instanceof SVGElement) revealMermaidElement(el);
+    });
+
+    // Center the union of the targets, or align its top when it is taller than the viewport
+    var top = Infinity;
+    var bottom = -Infinity;
+    targets.forEach(function(el) {
+        var rect = el.getBoundingClientRect();
+        top = Math.min(top, rect.top);
+        bottom = Math.max(bottom, rect.bottom);
+    });
+    var height = bottom - top;
+    var offset = height < window.innerHeight ? (window.innerHeight - height) / 2 : 16;
+    window.scrollTo({ top: window.scrollY + top - offset, behavior: 'smooth' });
+
+    targets.forEach(function(el) {
+        var highlightTarget = getFlashTarget(el);
+        highlightTarget.classList.remove('scroll-target-highlight');
+        void highlightTarget.getBoundingClientRect();
+        highlightTarget.classList.add('scroll-target-highlight');
+        setTimeout(function() { highlightTarget.classList.remove('scroll-target-highlight'); }, 2000);
+    });
 }
 
 // Pointing mode
@@ -27,6 +47,7 @@ function setPointingMode(enabled) {
         currentHighlight.classList.remove('pointing-highlight');
         currentHighlight = null;
     }
+    if (!enabled) clearPointingSelection();
     document.body.style.cursor = enabled ? 'crosshair' : '';
     document.body.style.userSelect = enabled ? 'none' : '';
 }
@@ -0,0 +1,230 @@
+// Table-aware pointing: Alt+click on a cell points at its whole row, Alt+Shift+click at its
+// whole column (header text and every value), and Alt+drag across cells at the rectangle
+// between them. Holding Alt (Alt+Shift) over a cell previews the row (column). The payload
+// lists the source line of each selected row and the selection as a Markdown table.
+var tableDragStart = null;
+var tablePreviewCell = null;
+var suppressTableClick = false;
+
+function getTableCell(target) {
+    var pointable = getPointableElement(target);
+    if (!pointable) return null;
+    var tagName = pointable.tagName.toLowerCase();
+    return tagName === 'td' || tagName === 'th' ? pointable : null;
+}
+
+// The table's own rows (not those of nested tables)
+function getTableRows(table) {
+    return Array.from(table.querySelectorAll('tr')).filter(function(tr) {
+        return tr.closest('table') === table;
+    });
+}
+
+function getTableColumnCount(rows) {
+    return rows.reduce(function(max, tr) { return Math.max(max, tr.children.length); }, 0);
+}
+
+// Markdown table of rows [rowStart, rowEnd] x columns [colStart, colEnd]. The header row's
+// cells head the table even when the selection starts below it.
+function getTableSelectionMarkdown(rows, rowStart, rowEnd, colStart, colEnd) {
+    var renderRow = function(tr) {
+        var parts = [];
+        for (var column = colStart; column <= colEnd; column++) {
+            var cell = tr.children[column];
+            parts.push(cell ? cell.textContent.trim().replace(/\|/g, '\\|') : '');
+        }
+        return '| ' + parts.join(' | ') + ' |';
+    };
+    var lines = [renderRow(rows[0])];
+    var separator = [];
+    for (var column = colStart; column <= colEnd; column++) separator.push('---');
+    lines.push('| ' + separator.join(' | ') + ' |');
+    for (var row = Math.max(rowStart, 1); row <= rowEnd; row++) lines.push(renderRow(rows[row]));
+    return lines.join('\n');
+}
+
+// Summaries are not shortened: a column's values or a range's cells are what is being pointed at
+function getTableSelectionSummary(kind, rows, rowStart, rowEnd, colStart, colEnd, markdown) {
+    if (kind === 'table-row') {
+        return 'table[row ' + rowStart + '] ' + getTableRowMarkdown(rows[rowStart]);
+    }
+    if (kind === 'table-column') {
+        var header = rows[0].children[colStart];
+        var values = [];
+        for (var row = 1; row < rows.length; row++) {
+            var cell = rows[row].children[colStart];
+            values.push(cell ? cell.textContent.trim() : '');
+        }
+        return 'table[col ' + colStart + '] column "' + (header ? header.textContent.trim() : '') + '": ' + values.join(', ');
+    }
+    var cellCount = (rowEnd - rowStart + 1) * (colEnd - colStart + 1);
+    return 'table[rows ' + rowStart + '-' + rowEnd + ', cols ' + colStart + '-' + colEnd + '] ' + cellCount + ' cells:\n' + markdown;
+}
+
+// Payload for a row ('table-row'), a column ('table-column') or a cell rectangle ('table-range')
+function getTableSelectionPayload(table, kind, rowStart, rowEnd, colStart, colEnd) {
+    var rows = getTableRows(table);
+    var rowLines = rows.slice(rowStart, rowEnd + 1).map(function(tr) {
+        var line = parseInt(getElementLine(tr), 10);
+        return isNaN(line) ? null : line;
+    });
+    var known = rowLines.filter(function(line) { return line !== null; });
+    var markdown = getTableSelectionMarkdown(rows, rowStart, rowEnd, colStart, colEnd);
+    var payload = {
+        kind: kind,
+        line: known.length > 0 ? Math.min.apply(null, known) : null,
+        endLine: known.length > 0 ? Math.max.apply(null, known) : null,
+        breadcrumb: getHeadingBreadcrumb(table) || null,
+        context: getContainerContext(table) || null,
+        summary: getTableSelectionSummary(kind, rows, rowStart, rowEnd, colStart, colEnd, markdown),
+        row: rowStart,
+        endRow: rowEnd,
+        col: colStart,
+        endCol: colEnd,
+        rowLines: rowLines,
+        markdown: markdown
+    };
+    var findings = [];
+    getTableSelectionCells(table, rowStart, rowEnd, colStart, colEnd).forEach(function(cell) {
+        getLintFindings(cell).forEach(function(finding) {
+            if (findings.indexOf(finding) === -1) findings.push(finding);
+        });
+    });
+    if (findings.length > 0) {
+        payload.findings = findings;
+        payload.summary += ' ⚠ ' + findings.join('; ');
+    }
+    return payload;
+}
+
+// Cells of the selection, for flashing and previews
+function getTableSelectionCells(table, rowStart, rowEnd, colStart, colEnd) {
+    var cells = [];
+    getTableRows(table).slice(rowStart, rowEnd + 1).forEach(function(tr) {
+        for (var column = colStart; column <= colEnd; column++) {
+            var cell = tr.children[column];
+            if (cell && cells.indexOf(cell) === -1) cells.push(cell);
+        }
+    });
+    return cells;
+}
+
+// Row and column bounds of a row (column = false) or column (column = true) through `cell`,
+// or of the rectangle between `cell` and `endCell`
+function getTableSelectionBounds(cell, options) {
+    var table = cell.closest('table');
+    var rows = getTableRows(table);
+    var row = rows.indexOf(cell.parentElement);
+    var col = Array.from(cell.parentElement.children).indexOf(cell);
+    if (options.endCell) {
+        var endRow = rows.indexOf(options.endCell.parentElement);
+        var endCol = Array.from(options.endCell.parentElement.children).indexOf(options.endCell);
+        return {
+            table: table, kind: 'table-range',
+            rowStart: Math.min(row, endRow), rowEnd: Math.max(row, endRow),
+            colStart: Math.min(col, endCol), colEnd: Math.max(col, endCol)
+        };
+    }
+    if (options.column) {
+        return { table: table, kind: 'table-column', rowStart: 0, rowEnd: rows.length - 1, colStart: col, colEnd: col };
+    }
+    return { table: table, kind: 'table-row', rowStart: row, rowEnd: row, colStart: 0, colEnd: getTableColumnCount(rows) - 1 };
+}
+
+function pointTableSelection(bounds) {
+    getTableSelectionCells(bounds.table, bounds.rowStart, bounds.rowEnd, bounds.colStart, bounds.colEnd).forEach(flashPointable);
+    var payload = getTableSelectionPayload(bounds.table, bounds.kind, bounds.rowStart, bounds.rowEnd, bounds.colStart, bounds.colEnd);
+    window.chrome.webview.postMessage('point:' + JSON.stringify(payload));
+}
+
+function showTableSelectionPreview(bounds) {
+    clearTableSelectionPreview();
+    getTableSelectionCells(bounds.table, bounds.rowStart, bounds.rowEnd, bounds.colStart, bounds.colEnd).forEach(function(cell) {
+        cell.classList.add('table-selection-preview');
+    });
+}
+
+function clearTableSelectionPreview() {
+    document.querySelectorAll('.table-selection-preview').forEach(function(cell) {
+        cell.classList.remove('table-selection-preview');
+    });
+}
+
+function updateTableHoverPreview(e) {
+    if (!pointingModeEnabled || tableDragStart) return;
+    if (tablePreviewCell && e.altKey) showTableSelectionPreview(getTableSelectionBounds(tablePreviewCell, { column: e.shiftKey }));
+    else clearTableSelectionPreview();
+}
+
+document.addEventListener('mouseover', function(e) {
+    tablePreviewCell = getTableCell(e.target);
+    updateTableHoverPreview(e);
+});
+
+document.addEventListener('keydown', function(e) {
+    if ((e.key === 'Alt' || e.key === 'Shift') && tablePreviewCell) {
+        // Keep the browser from moving focus to the window menu
+        if (e.key === 'Alt') e.preventDefault();
+        updateTableHoverPreview(e);
+    }
+});
+
+document.addEventListener('keyup', function(e) {
+    if (e.key === 'Alt' || e.key === 'Shift') updateTableHoverPreview(e);
+});
+
+// Alt+drag selects a cell rectangle; runs before the document-level range drag
+window.addEventListener('mousedown', function(e) {
+    if (!pointingModeEnabled || e.button !== 0 || !e.altKey) return;
+    var cell = getTableCell(e.target);
+    if (!cell) return;
+    e.preventDefault();
+    e.stopPropagation();
+    tableDragStart = { cell: cell, x: e.clientX, y: e.clientY, dragging: false };
+}, true);
+
+document.addEventListener('mousemove', function(e) {
+    if (!tableDragStart) return;
+    if (!tableDragStart.dragging) {
+        // Small movements are still plain clicks
+        if (Math.abs(e.clientX - tableDragStart.x) < 5 && Math.abs(e.clientY - tableDragStart.y) < 5) return;
+        tableDragStart.dragging = true;
+    }
+    var cell = getTableCell(e.target);
+    if (cell && cell.closest('table') === tableDragStart.cell.closest('table')) {
+        showTableSelectionPreview(getTableSelectionBounds(tableDragStart.cell, { endCell: cell }));
+    }
+});
+
+document.addEventListener('mouseup', function(e) {
+    if (!tableDragStart) return;
+    var drag = tableDragStart;
+    tableDragStart = null;
+    clearTableSelectionPreview();
+    if (!drag.dragging) return;
+    // The click that follows mouseup must not also point at the row under the cursor
+    suppressTableClick = true;
+    setTimeout(function() { suppressTableClick = false; }, 0);
+    var cell = getTableCell(document.elementFromPoint(e.clientX, e.clientY));
+    if (!cell || cell.closest('table') !== drag.cell.closest('table')) return;
+    pointTableSelection(getTableSelectionBounds(drag.cell, { endCell: cell }));
+});
+
+// Alt+click points at the row, Alt+Shift+click at the column; runs before the
+// document-level pointing click handler
+window.addEventListener('click', function(e) {
+    if (suppressTableClick) {
+        suppressTableClick = false;
+        e.preventDefault();
+        e.stopPropagation();
+        return;
+    }
+    if (!pointingModeEnabled || !e.altKey || e.defaultPrevented) return;
+    if (e.target.closest && e.target.closest('a[href]')) return;
+    var cell = getTableCell(e.target);
+    if (!cell) return;
+    e.preventDefault();
+    e.stopPropagation();
+    clearTableSelectionPreview();
+    pointTableSelection(getTableSelectionBounds(cell, { column: e.shiftKey }));
+}, true);
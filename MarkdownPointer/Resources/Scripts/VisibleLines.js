@@ -0,0 +1,50 @@
+// Visible source lines: reports the first and last source line on screen to the host
+// ('visible-lines:' message) so it can restore position by line after a reload
+var visibleLineElements = new Set();
+var visibleLinesTimer = null;
+var lastVisibleLines = '';
+
+function startVisibleLinesReporter() {
+    var observer = new IntersectionObserver(function(entries) {
+        entries.forEach(function(entry) {
+            if (entry.isIntersecting) visibleLineElements.add(entry.target);
+            else visibleLineElements.delete(entry.target);
+        });
+        clearTimeout(visibleLinesTimer);
+        visibleLinesTimer = setTimeout(reportVisibleLines, 200);
+    });
+    // Block-level HTML elements only; formulas and their rows sit inside a block
+    document.querySelectorAll('[data-line]').forEach(function(el) {
+        if (el instanceof SVGElement || el.closest('.katex') || el.closest('.mdp-ui')) return;
+        observer.observe(el);
+    });
+}
+
+function reportVisibleLines() {
+    var first = null;
+    var firstFullyVisible = null;
+    var last = null;
+    visibleLineElements.forEach(function(el) {
+        var line = parseInt(el.getAttribute('data-line'), 10);
+        if (isNaN(line)) return;
+        if (first === null || line < first) first = line;
+        if (last === null || line > last) last = line;
+        // A block scrolled half out of view would restore too far up
+        if (el.getBoundingClientRect().top >= 0 && (firstFullyVisible === null || line < firstFullyVisible)) {
+            firstFullyVisible = line;
+        }
+    });
+    if (first === null) return;
+    if (firstFullyVisible !== null) first = firstFullyVisible;
+
+    var message = JSON.stringify({ first: first, last: last });
+    if (message === lastVisibleLines) return;
+    lastVisibleLines = message;
+    window.chrome.webview.postMessage('visible-lines:' + message);
+}
+
+// Scroll so the element rendering `line` is at the top (called from C# after a reload)
+function restoreVisibleLine(line) {
+    var targets = getInnermostElements(getNearestPrecedingElements(line));
+    if (targets.length > 0) targets[0].scrollIntoView({ block: 'start' });
+}
@@ -1,7 +1,9 @@
 using System.IO;
+using System.Text.Json;
 using System.Text.RegularExpressions;
 using System.Text;
 using Markdig;
+using MarkdownPointer.Models;
 using MarkdownPointer.Resources;
 
 namespace MarkdownPointer.Services
@@ -11,7 +13,14 @@ namespace MarkdownPointer.Services
     /// </summary>
     public class HtmlGenerator
     {
+        // Camel-case properties; macro names are dictionary keys and stay as written
+        private static readonly JsonSerializerOptions MathConfigJsonOptions = new()
+        {
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+        };
+
         private readonly MarkdownPipeline _pipeline;
+        private readonly MathConfigLoader _mathConfigLoader = new();
 
         public HtmlGenerator(MarkdownPipeline pipeline)
         {
@@ -46,6 +55,9 @@ public string ConvertToHtml(string markdown, string baseDir)
             // Generate nonce for CSP
             var nonce = Convert.ToBase64String(Guid.NewGuid().ToByteArray());
 
+            // KaTeX macros, delimiters and extensions from .markdownpointer.json and frontmatter
+            var mathConfig = _mathConfigLoader.Load(markdown, baseDir);
+
             var html = new StringBuilder();
             html.AppendLine("<!DOCTYPE html>");
             html.AppendLine("<html><head>");
@@ -61,6 +73,10 @@ public string ConvertToHtml(string markdown, string baseDir)
             // External libraries
             html.AppendLine("<link rel='stylesheet' href='https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css'/>");
             html.AppendLine("<script defer src='https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.js'></script>");
+            foreach (var extension in mathConfig.Extensions)
+            {
+                html.AppendLine($"<script defer src='https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/contrib/{extension}.min.js'></script>");
+            }
             html.AppendLine("<script defer src='https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/contrib/auto-render.min.js'></script>");
             html.AppendLine("<script src='https://cdn.jsdelivr.net/npm/html2canvas@1.4.1/dist/html2canvas.min.js'></script>");
 
@@ -69,12 +85,29 @@ public string ConvertToHtml(string markdown, string baseDir)
             html.AppendLine(JsResources.CoreEventHandlers);
             html.AppendLine("</script>");
 
+            // Per-document math configuration, applied by DomContentLoadedHandler
+            html.AppendLine($"<script nonce='{nonce}'>var mathConfig = {JsonSerializer.Serialize(mathConfig, MathConfigJsonOptions)};</script>");
+
             // Scroll and pointing mode
             html.AppendLine($"<script nonce='{nonce}'>");
             html.AppendLine(JsResources.ScrollAndPointingMode);
             html.AppendLine(JsResources.PointingHelpers);
+            html.AppendLine(JsResources.LineIndex);
             html.AppendLine(JsResources.GetElementContent);
+            html.AppendLine(JsResources.PointingPayload);
             html.AppendLine(JsResources.PointingEventHandlers);
+            html.AppendLine(JsResources.PointingSelection);
+            html.AppendLine(JsResources.PointingRange);
+            html.AppendLine(JsResources.Annotations);
+            html.AppendLine(JsResources.KeyboardPointing);
+            html.AppendLine(JsResources.VisibleLines);
+            html.AppendLine(JsResources.KatexConfig);
+            html.AppendLine(JsResources.KatexSourceMapping);
+            html.AppendLine(JsResources.RenderDiagnostics);
+            html.AppendLine(JsResources.MarkdownLint);
+            html.AppendLine(JsResources.MermaidPanZoom);
+            html.AppendLine(JsResources.MermaidNeighbors);
+            html.AppendLine(JsResources.TablePointing);
             html.AppendLine("</script>");
 
             // Mermaid
@@ -99,7 +132,7 @@ public string ConvertToHtml(string markdown, string baseDir)
         /// </summary>
         private static string GetDomContentLoadedScript()
         {
-            return JsResources.DomContentLoadedHandler + JsResources.MermaidNodeProcessing;
+            return JsResources.DomContentLoadedHandler + JsResources.MermaidNodeProcessing + JsResources.MermaidDebugOverlay;
         }
 
         /// <summary>
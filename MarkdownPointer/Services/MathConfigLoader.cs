@@ -0,0 +1,282 @@
+using System.IO;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using System.Text.RegularExpressions;
+using MarkdownPointer.Models;
+
+namespace MarkdownPointer.Services
+{
+    /// <summary>
+    /// Builds a document's KaTeX configuration from the nearest .markdownpointer.json above the
+    /// document (its "math" object) and the "math" key of the document's frontmatter, whose value
+    /// is a JSON object like the settings file's. The rest of the frontmatter is not read.
+    /// Frontmatter macros and delimiters are added to the workspace ones; other options override.
+    /// </summary>
+    public class MathConfigLoader
+    {
+        public const string SettingsFileName = ".markdownpointer.json";
+
+        private static readonly string[] KnownExtensions = { "mhchem", "copy-tex" };
+        private static readonly string[] StrictModes = { "warn", "ignore", "error" };
+
+        // The settings file and frontmatter both allow comments and trailing commas
+        private static readonly JsonDocumentOptions JsonOptions = new() { CommentHandling = JsonCommentHandling.Skip, AllowTrailingCommas = true };
+        private static readonly JsonReaderOptions JsonReaderOptions = new() { CommentHandling = JsonCommentHandling.Skip, AllowTrailingCommas = true };
+
+        public MathConfig Load(string markdown, string baseDir)
+        {
+            var config = new MathConfig();
+
+            var settingsPath = FindSettingsFile(baseDir);
+            if (settingsPath != null)
+            {
+                try
+                {
+                    var settings = JsonNode.Parse(File.ReadAllText(settingsPath), documentOptions: JsonOptions);
+                    Apply(config, (settings as JsonObject)?["math"], new Dictionary<string, int>(), settingsPath);
+                }
+                // JsonObject throws ArgumentException on a repeated key (e.g. the same macro twice)
+                catch (Exception ex) when (ex is IOException or JsonException or UnauthorizedAccessException or ArgumentException)
+                {
+                    AddError(config, null, $"Cannot read {SettingsFileName}: {ex.Message}", settingsPath);
+                }
+            }
+
+            var frontMatter = ExtractFrontMatter(markdown);
+            if (frontMatter != null)
+            {
+                ApplyFrontMatter(config, frontMatter.Value.Lines, frontMatter.Value.FirstLine);
+            }
+
+            return config;
+        }
+
+        /// <summary>
+        /// Returns the lines between the opening --- and the closing --- or ... line and the source
+        /// line of the first one, or null when the document has no frontmatter.
+        /// </summary>
+        private static (string[] Lines, int FirstLine)? ExtractFrontMatter(string markdown)
+        {
+            var lines = markdown.Replace("\r\n", "\n").Split('\n');
+            if (lines.Length == 0 || lines[0].TrimEnd() != "---") return null;
+            for (int i = 1; i < lines.Length; i++)
+            {
+                var fence = lines[i].TrimEnd();
+                if (fence == "---" || fence == "...") return (lines[1..i], 2);
+            }
+            return null;
+        }
+
+        // Reads the JSON object after a top-level "math:" key. It may span several lines; the
+        // frontmatter after its closing brace is left to other tools.
+        private static void ApplyFrontMatter(MathConfig config, string[] lines, int firstLine)
+        {
+            var mathIndex = Array.FindIndex(lines, line => Regex.IsMatch(line, @"^math\s*:"));
+            if (mathIndex < 0) return;
+            var mathLine = firstLine + mathIndex;
+            var text = string.Join("\n", lines[mathIndex..]);
+            text = text.Substring(text.IndexOf(':') + 1);
+            if (!text.TrimStart().StartsWith('{'))
+            {
+                AddError(config, mathLine, "Frontmatter math: expected a JSON object, e.g. math: { \"macros\": { \"\\\\R\": \"\\\\mathbb{R}\" } }", "");
+                return;
+            }
+
+            // Source line of each key by its path (e.g. "math/macros/\R"), for diagnostics. Keys
+            // are checked per object here too, since JsonObject cannot hold a repeated key.
+            var bytes = Encoding.UTF8.GetBytes(text);
+            var keyLines = new Dictionary<string, int> { ["math"] = mathLine };
+            var path = new List<string>();
+            var objectKeys = new Stack<HashSet<string>?>();
+            string? property = "math";
+            var reader = new Utf8JsonReader(bytes, JsonReaderOptions);
+            try
+            {
+                while (reader.Read())
+                {
+                    switch (reader.TokenType)
+                    {
+                        case JsonTokenType.PropertyName:
+                            property = reader.GetString() ?? "";
+                            var keyLine = mathLine + CountLines(bytes, reader.TokenStartIndex);
+                            if (objectKeys.Peek()?.Add(property) == false)
+                            {
+                                AddError(config, keyLine, $"Frontmatter math: duplicate key \"{property}\" in {string.Join(".", path)}", "");
+                                return;
+                            }
+                            keyLines[string.Join("/", path) + "/" + property] = keyLine;
+                            break;
+                        case JsonTokenType.StartObject:
+                        case JsonTokenType.StartArray:
+                            path.Add(property ?? "");
+                            objectKeys.Push(reader.TokenType == JsonTokenType.StartObject ? new HashSet<string>() : null);
+                            property = null;
+                            break;
+                        case JsonTokenType.EndObject:
+                        case JsonTokenType.EndArray:
+                            path.RemoveAt(path.Count - 1);
+                            objectKeys.Pop();
+                            property = null;
+                            break;
+                    }
+                    if (path.Count == 0) break;
+                }
+            }
+            catch (JsonException ex)
+            {
+                AddError(config, mathLine + (int)(ex.LineNumber ?? 0), $"Frontmatter math: {ex.Message}", "");
+                return;
+            }
+
+            var math = JsonNode.Parse(bytes.AsSpan(0, (int)reader.BytesConsumed), documentOptions: JsonOptions);
+            Apply(config, math, keyLines, null);
+        }
+
+        private static int CountLines(byte[] bytes, long end)
+        {
+            var count = 0;
+            for (long i = 0; i < end; i++)
+            {
+                if (bytes[i] == (byte)'\n') count++;
+            }
+            return count;
+        }
+
+        private static string? FindSettingsFile(string baseDir)
+        {
+            for (var dir = new DirectoryInfo(baseDir); dir != null; dir = dir.Parent)
+            {
+                var path = Path.Combine(dir.FullName, SettingsFileName);
+                if (File.Exists(path)) return path;
+            }
+            return null;
+        }
+
+        // Merges one "math" object into the config. Key lines come from the frontmatter reader;
+        // settings file problems are reported with the file path as their snippet.
+        private static void Apply(MathConfig config, JsonNode? math, Dictionary<string, int> keyLines, string? settingsPath)
+        {
+            if (math == null) return;
+            int? LineOf(string key) => keyLines.TryGetValue("math/" + key, out var line) ? line : null;
+            void Error(string key, string message) =>
+                AddError(config, LineOf(key), $"math.{key.Replace('/', '.')}: {message}", settingsPath ?? "");
+
+            if (math is not JsonObject options)
+            {
+                AddError(config, keyLines.TryGetValue("math", out var mathLine) ? mathLine : null,
+                    "math: expected a mapping of KaTeX options", settingsPath ?? "");
+                return;
+            }
+
+            foreach (var (key, value) in options)
+            {
+                switch (key)
+                {
+                    case "macros":
+                        if (value is not JsonObject macros)
+                        {
+                            Error(key, "expected a mapping of macro names to TeX");
+                            break;
+                        }
+                        foreach (var (name, definition) in macros)
+                        {
+                            if (definition is not JsonValue text || !text.TryGetValue<string>(out var tex))
+                            {
+                                Error("macros/" + name, "expected the macro's TeX as a string");
+                                continue;
+                            }
+                            config.Macros[name] = tex;
+                            if (LineOf("macros/" + name) is int line) config.MacroLines[name] = line;
+                        }
+                        break;
+
+                    case "delimiters":
+                        if (value is not JsonArray delimiters)
+                        {
+                            Error(key, "expected a list of { left, right, display } entries");
+                            break;
+                        }
+                        foreach (var entry in delimiters)
+                        {
+                            var left = GetString(entry?["left"]);
+                            var right = GetString(entry?["right"]);
+                            if (string.IsNullOrEmpty(left) || string.IsNullOrEmpty(right))
+                            {
+                                Error(key, "each delimiter needs non-empty left and right strings");
+                                continue;
+                            }
+                            config.Delimiters.Add(new MathDelimiter
+                            {
+                                Left = left,
+                                Right = right,
+                                Display = GetBool(entry?["display"]) ?? false
+                            });
+                        }
+                        break;
+
+                    case "fleqn":
+                    case "leqno":
+                    case "trust":
+                        var flag = GetBool(value);
+                        if (flag == null)
+                        {
+                            Error(key, "expected true or false");
+                            break;
+                        }
+                        if (key == "fleqn") config.Fleqn = flag;
+                        else if (key == "leqno") config.Leqno = flag;
+                        else config.Trust = flag;
+                        break;
+
+                    case "strict":
+                        var mode = GetString(value);
+                        if (GetBool(value) is bool strict) config.Strict = strict;
+                        else if (mode != null && StrictModes.Contains(mode)) config.Strict = mode;
+                        else Error(key, "expected true, false, \"warn\", \"ignore\" or \"error\"");
+                        break;
+
+                    case "extensions":
+                        var names = value is JsonArray list ? list.Select(GetString).ToList() : new List<string?> { GetString(value) };
+                        foreach (var name in names)
+                        {
+                            if (name != null && KnownExtensions.Contains(name))
+                            {
+                                if (!config.Extensions.Contains(name)) config.Extensions.Add(name);
+                            }
+                            else
+                            {
+                                Error(key, $"unknown extension \"{name}\" (supported: {string.Join(", ", KnownExtensions)})");
+                            }
+                        }
+                        break;
+
+                    default:
+                        Error(key, "unknown option");
+                        break;
+                }
+            }
+        }
+
+        private static string? GetString(JsonNode? node)
+        {
+            return node is JsonValue value && value.TryGetValue<string>(out var text) ? text : null;
+        }
+
+        private static bool? GetBool(JsonNode? node)
+        {
+            return node is JsonValue value && value.TryGetValue<bool>(out var flag) ? flag : null;
+        }
+
+        private static void AddError(MathConfig config, int? line, string message, string snippet)
+        {
+            config.Errors.Add(new RenderDiagnostic
+            {
+                Source = "config",
+                Line = line,
+                Message = message,
+                Snippet = snippet
+            });
+        }
+    }
+}
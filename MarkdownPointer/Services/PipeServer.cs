@@ -120,6 +120,12 @@ private async Task<PipeResponse> HandleMessageAsync(PipeMessage message)
             case "activate":
                 return HandleActivate(windows);
 
+            case "view":
+                return HandleView(windows);
+
+            case "mermaid-coverage":
+                return HandleMermaidCoverage(windows);
+
             default:
                 return new PipeResponse { Success = false, Error = "Unknown command" };
         }
@@ -146,7 +152,7 @@ private async Task<PipeResponse> HandleOpenAsync(PipeMessage message, List<MainW
                 windows[i].BringToFront();
                 if (message.Line.HasValue)
                 {
-                    windows[i].ScrollToLine(existingTab, message.Line.Value);
+                    windows[i].ScrollToLine(existingTab, message.Line.Value, message.EndLine);
                 }
                 openedTab = existingTab;
                 targetWindow = windows[i];
@@ -161,7 +167,7 @@ private async Task<PipeResponse> HandleOpenAsync(PipeMessage message, List<MainW
             targetWindow = windows.FirstOrDefault();
             if (targetWindow != null)
             {
-                openedTab = targetWindow.LoadMarkdownFile(message.Path, message.Line, message.Title);
+                openedTab = targetWindow.LoadMarkdownFile(message.Path, message.Line, message.Title, endLine: message.EndLine);
                 targetWindow.BringToFront();
                 targetWindowIndex = 0;
             }
@@ -187,7 +193,7 @@ private async Task<PipeResponse> HandleOpenAsync(PipeMessage message, List<MainW
             // Scroll to line after render completes
             if (message.Line.HasValue)
             {
-                targetWindow.ScrollToLine(openedTab, message.Line.Value);
+                targetWindow.ScrollToLine(openedTab, message.Line.Value, message.EndLine);
             }
         }
 
@@ -215,6 +221,7 @@ private async Task<PipeResponse> HandleOpenAsync(PipeMessage message, List<MainW
             {
                 var tab = tabs[tabIdx];
                 var errors = tab.LastRenderErrors.Count > 0 ? tab.LastRenderErrors.ToArray() : null;
+                var diagnostics = tab.LastRenderDiagnostics.Count > 0 ? tab.LastRenderDiagnostics.ToArray() : null;
                 var isSelected = tabIdx == selectedIndex;
 
                 tabInfos.Add(new TabInfo
@@ -223,7 +230,8 @@ private async Task<PipeResponse> HandleOpenAsync(PipeMessage message, List<MainW
                     Title = tab.Title,
                     Path = tab.FilePath,
                     IsSelected = isSelected,
-                    Errors = errors
+                    Errors = errors,
+                    Diagnostics = diagnostics
                 });
 
                 // Capture opened tab info
@@ -265,6 +273,56 @@ private static PipeResponse HandleActivate(List<MainWindow> windows)
         return new PipeResponse { Success = false, Error = "No window available" };
     }
 
+    /// <summary>
+    /// Reports the selected tab of the active window (or the first window) and its visible source lines.
+    /// </summary>
+    private static PipeResponse HandleView(List<MainWindow> windows)
+    {
+        var window = windows.FirstOrDefault(w => w.IsActive) ?? windows.FirstOrDefault();
+        if (window == null)
+        {
+            return new PipeResponse { Success = false, Error = "No window available" };
+        }
+
+        var tabs = window.GetTabs();
+        var selectedIndex = window.GetSelectedTabIndex();
+        if (selectedIndex < 0 || selectedIndex >= tabs.Count)
+        {
+            return new PipeResponse { Success = false, Error = "No file open" };
+        }
+
+        var tab = tabs[selectedIndex];
+        return new PipeResponse
+        {
+            Success = true,
+            View = new ViewInfo
+            {
+                WindowIndex = windows.IndexOf(window),
+                TabIndex = selectedIndex,
+                Title = tab.Title,
+                Path = tab.FilePath,
+                FirstVisibleLine = tab.VisibleLines?.First,
+                LastVisibleLine = tab.VisibleLines?.Last
+            }
+        };
+    }
+
+    /// <summary>
+    /// Reports the selected tab together with the source line mapping coverage of its Mermaid diagrams.
+    /// </summary>
+    private static PipeResponse HandleMermaidCoverage(List<MainWindow> windows)
+    {
+        var response = HandleView(windows);
+        if (!response.Success)
+        {
+            return response;
+        }
+
+        var window = windows[response.View!.WindowIndex];
+        response.MermaidCoverage = window.GetTabs()[response.View.TabIndex].MermaidCoverage.ToArray();
+        return response;
+    }
+
     /// <summary>
     /// Send a message to an existing MarkdownPointer instance.
     /// </summary>
@@ -293,6 +351,7 @@ public class PipeMessage
     public string Command { get; set; } = "";
     public string? Path { get; set; }
     public int? Line { get; set; }
+    public int? EndLine { get; set; }
     public string? Title { get; set; }
 }
 
@@ -301,6 +360,8 @@ public class PipeResponse
     public bool Success { get; set; }
     public string? Error { get; set; }
     public OpenedTabInfo? OpenedTab { get; set; }
+    public ViewInfo? View { get; set; }
+    public MermaidCoverage[]? MermaidCoverage { get; set; }
     public WindowInfo[]? Windows { get; set; }
 }
 
@@ -312,6 +373,16 @@ public class OpenedTabInfo
     public string Path { get; set; } = "";
 }
 
+public class ViewInfo
+{
+    public int WindowIndex { get; set; }
+    public int TabIndex { get; set; }
+    public string Title { get; set; } = "";
+    public string Path { get; set; } = "";
+    public int? FirstVisibleLine { get; set; }
+    public int? LastVisibleLine { get; set; }
+}
+
 public class WindowInfo
 {
     public int Index { get; set; }
@@ -325,6 +396,7 @@ public class TabInfo
     public string Path { get; set; } = "";
     public bool IsSelected { get; set; }
     public string[]? Errors { get; set; }
+    public RenderDiagnostic[]? Diagnostics { get; set; }
 }
 
 #endregion
@@ -0,0 +1,93 @@
+using System.Collections.Generic;
+using System.Text.RegularExpressions;
+using MarkdownPointer.Models;
+
+namespace MarkdownPointer.Services
+{
+    /// <summary>
+    /// Formats pointing payloads into clipboard reference text using a template.
+    /// Placeholders are written as {name}; an optional segment {?...} is dropped
+    /// when any placeholder inside it is empty (e.g. "{?-{endLine}}").
+    /// </summary>
+    public class ReferenceFormatter
+    {
+        public const string DefaultTemplate = "[{path}:{line}{?-{endLine}}]{? {breadcrumb} >} {content}{? (in {context})}";
+
+        private static readonly Regex OptionalSegmentRegex = new(@"\{\?((?:[^{}]|\{[A-Za-z]+\})*)\}", RegexOptions.Compiled);
+        private static readonly Regex PlaceholderRegex = new(@"\{([A-Za-z]+)\}", RegexOptions.Compiled);
+
+        public string Template { get; set; } = DefaultTemplate;
+
+        /// <summary>
+        /// Formats a single reference for the given file.
+        /// </summary>
+        public string Format(string filePath, PointingPayload payload)
+        {
+            var values = GetValues(filePath, payload);
+
+            var text = OptionalSegmentRegex.Replace(Template, match =>
+            {
+                var segment = match.Groups[1].Value;
+                foreach (Match placeholder in PlaceholderRegex.Matches(segment))
+                {
+                    if (string.IsNullOrEmpty(GetValue(values, placeholder.Groups[1].Value)))
+                    {
+                        return "";
+                    }
+                }
+                return segment;
+            });
+
+            return PlaceholderRegex.Replace(text, match =>
+                values.ContainsKey(match.Groups[1].Value) ? GetValue(values, match.Groups[1].Value) : match.Value);
+        }
+
+        private static string GetValue(Dictionary<string, string> values, string name)
+        {
+            return values.TryGetValue(name, out var value) ? value : "";
+        }
+
+        /// <summary>
+        /// File path with forward slashes and each segment percent-encoded, so '#', '%', '?' and
+        /// spaces survive in URIs. A drive segment ("C:") is kept as written.
+        /// </summary>
+        private static string GetUriPath(string filePath)
+        {
+            var segments = filePath.Replace('\\', '/').Split('/');
+            return string.Join("/", segments.Select((segment, i) =>
+                i == 0 && segment.EndsWith(':') ? segment : Uri.EscapeDataString(segment)));
+        }
+
+        private static Dictionary<string, string> GetValues(string filePath, PointingPayload payload)
+        {
+            var line = payload.Line?.ToString() ?? "?";
+            // A single-line element has no separate end line
+            var endLine = payload.EndLine.HasValue && payload.EndLine != payload.Line
+                ? payload.EndLine.Value.ToString()
+                : "";
+
+            return new Dictionary<string, string>
+            {
+                ["path"] = filePath,
+                ["line"] = line,
+                ["endLine"] = endLine,
+                ["kind"] = payload.Kind,
+                ["content"] = payload.Summary,
+                ["breadcrumb"] = payload.Breadcrumb ?? "",
+                ["context"] = payload.Context ?? "",
+                ["uriPath"] = GetUriPath(filePath),
+                ["language"] = payload.Language ?? "",
+                ["tex"] = payload.Tex ?? "",
+                ["diagramType"] = payload.DiagramType ?? "",
+                ["nodeId"] = payload.NodeId ?? "",
+                ["incoming"] = payload.Incoming != null ? string.Join(", ", payload.Incoming) : "",
+                ["outgoing"] = payload.Outgoing != null ? string.Join(", ", payload.Outgoing) : "",
+                ["findings"] = payload.Findings != null ? string.Join("; ", payload.Findings) : "",
+                ["row"] = payload.Row?.ToString() ?? "",
+                ["col"] = payload.Col?.ToString() ?? "",
+                ["rowLines"] = payload.RowLines != null ? string.Join(", ", payload.RowLines.Select(l => l?.ToString() ?? "?")) : "",
+                ["markdown"] = payload.Markdown ?? ""
+            };
+        }
+    }
+}
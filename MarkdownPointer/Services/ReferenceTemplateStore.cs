@@ -0,0 +1,87 @@
+using System.IO;
+using System.Text.Json;
+using MarkdownPointer.Models;
+
+namespace MarkdownPointer.Services
+{
+    /// <summary>
+    /// Loads and saves reference templates from %APPDATA%\MarkdownPointer\reference-templates.json.
+    /// The file is created with the built-in templates on first save and can be edited by hand.
+    /// </summary>
+    public class ReferenceTemplateStore
+    {
+        private static readonly JsonSerializerOptions JsonOptions = new()
+        {
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+            WriteIndented = true
+        };
+
+        public static string FilePath { get; } = Path.Combine(
+            Environment.GetFolderPath(Environment.SpecialFolder.ApplicationData),
+            "MarkdownPointer",
+            "reference-templates.json");
+
+        public List<ReferenceTemplate> Templates { get; private set; } = CreateBuiltInTemplates();
+
+        public string ActiveName { get; set; } = "Default";
+
+        /// <summary>
+        /// The active template, falling back to the first one when the name is unknown.
+        /// </summary>
+        public ReferenceTemplate Active =>
+            Templates.FirstOrDefault(t => t.Name == ActiveName) ?? Templates[0];
+
+        /// <summary>
+        /// Reloads templates from disk. Keeps the built-ins when the file is missing or invalid.
+        /// </summary>
+        public void Load()
+        {
+            try
+            {
+                if (!File.Exists(FilePath)) return;
+
+                var data = JsonSerializer.Deserialize<StoreData>(File.ReadAllText(FilePath), JsonOptions);
+                var templates = data?.Templates?
+                    .Where(t => !string.IsNullOrWhiteSpace(t.Name) && !string.IsNullOrEmpty(t.Template))
+                    .ToList();
+                if (templates == null || templates.Count == 0) return;
+
+                Templates = templates;
+                ActiveName = data!.Active ?? templates[0].Name;
+            }
+            catch (Exception ex) when (ex is IOException or JsonException or UnauthorizedAccessException)
+            {
+                // Keep current templates
+            }
+        }
+
+        public void Save()
+        {
+            try
+            {
+                Directory.CreateDirectory(Path.GetDirectoryName(FilePath)!);
+                var data = new StoreData { Active = ActiveName, Templates = Templates };
+                File.WriteAllText(FilePath, JsonSerializer.Serialize(data, JsonOptions));
+            }
+            catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+            {
+                // Settings are best-effort
+            }
+        }
+
+        private static List<ReferenceTemplate> CreateBuiltInTemplates() => new()
+        {
+            new() { Name = "Default", Template = ReferenceFormatter.DefaultTemplate },
+            new() { Name = "path:line", Template = "{path}:{line}{?-{endLine}}" },
+            new() { Name = "GitHub anchor", Template = "{path}#L{line}{?-L{endLine}}" },
+            new() { Name = "Markdown quote", Template = "{path}:{line}{?-{endLine}}\n> {content}" },
+            new() { Name = "VS Code URI", Template = "vscode://file/{uriPath}:{line}" }
+        };
+
+        private class StoreData
+        {
+            public string? Active { get; set; }
+            public List<ReferenceTemplate>? Templates { get; set; }
+        }
+    }
+}